@@ -0,0 +1,290 @@
+// Color Palette - Deterministic palette from screenshot pixels and computed CSS colors
+// Median cut over the screenshot tiles for area coverage, snapped to the exact CSS values in use
+
+import { inflateSync } from 'zlib';
+
+const MAX_SAMPLES = 120000;
+const QUANTIZE_COLORS = 16;
+const MAX_ELEMENTS = 5000;
+const MIN_COVERAGE = 0.5; // % of screenshot pixels
+const SAME_COLOR_DELTA_E = 3; // Below this, two quantized colors are the same color
+const SNAP_DELTA_E = 6; // A quantized color this close to a CSS color is that CSS color
+const NEAR_DUPLICATE_DELTA_E = 5; // Distinguishable on close inspection only - likely meant to be one color
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Extract a ranked palette from the screenshot tiles and the page's computed colors
+ * @param {Page} page - Playwright page with DOM helpers installed
+ * @param {Array<Object>} tiles - Tiles from captureScreenshotTiles (PNG `buffer` each)
+ * @param {Object} options
+ * @param {number} options.maxColors - Palette size
+ * @returns {Promise<Object>} `palette` with coverage %, CSS color usage and `near_duplicates`
+ */
+export async function extractColorPalette(page, tiles, { maxColors = 8 } = {}) {
+    const cssColors = await collectCssColors(page);
+
+    const images = tiles.map(tile => decodePng(tile.buffer));
+    const totalPixels = images.reduce((sum, image) => sum + image.width * image.height, 0);
+    const step = Math.max(1, Math.ceil(totalPixels / MAX_SAMPLES));
+    const pixels = [];
+    images.forEach(image => {
+        for (let i = 0; i < image.width * image.height; i += step) {
+            const offset = i * image.channels;
+            if (image.channels === 4 && image.data[offset + 3] < 128) continue;
+            pixels.push([image.data[offset], image.data[offset + 1], image.data[offset + 2]]);
+        }
+    });
+
+    // Quantize, then fold together boxes that split one flat color
+    const clusters = [];
+    medianCut(pixels, QUANTIZE_COLORS).forEach(cluster => {
+        const lab = toLab(cluster.rgb);
+        const same = clusters.find(other => deltaE(other.lab, lab) < SAME_COLOR_DELTA_E);
+        if (same) {
+            same.count += cluster.count;
+        } else {
+            clusters.push({ ...cluster, lab });
+        }
+    });
+
+    const byHex = new Map();
+    clusters.forEach(cluster => {
+        const nearest = nearestColor(cssColors, cluster.lab);
+        const snapped = nearest && nearest.distance <= SNAP_DELTA_E ? nearest.color : null;
+        const hex = snapped ? snapped.hex : toHex(cluster.rgb);
+        const entry = byHex.get(hex) || { hex, coverage: 0, source: snapped ? 'screenshot+css' : 'screenshot', css: snapped };
+        entry.coverage += pixels.length > 0 ? cluster.count / pixels.length * 100 : 0;
+        byHex.set(hex, entry);
+    });
+
+    const ranked = [...byHex.values()]
+        .filter(entry => entry.coverage >= MIN_COVERAGE)
+        .sort((a, b) => b.coverage - a.coverage);
+
+    // Colors too small to show up as area (text, borders) but used throughout the CSS
+    cssColors
+        .filter(color => !byHex.has(color.hex) && color.elements >= 3)
+        .sort((a, b) => b.elements - a.elements)
+        .forEach(color => ranked.push({ hex: color.hex, coverage: 0, source: 'css', css: color }));
+
+    const palette = ranked.slice(0, maxColors).map(entry => ({
+        hex: entry.hex,
+        coverage: Math.round(entry.coverage * 10) / 10,
+        source: entry.source,
+        css_properties: entry.css ? entry.css.properties : [],
+        css_elements: entry.css ? entry.css.elements : 0
+    }));
+
+    return {
+        palette,
+        distinct_css_colors: cssColors.length,
+        near_duplicates: findNearDuplicates(cssColors),
+        pixels_sampled: pixels.length
+    };
+}
+
+/**
+ * Clean up hex colors from an AI response: lowercase, 3-digit forms expanded, invalid values dropped
+ * @param {Array<string>} colors - Colors as returned by the model
+ * @returns {Array<string>} Unique `#rrggbb` values
+ */
+export function normalizeHexColors(colors = []) {
+    const normalized = colors
+        .map(color => String(color).trim().toLowerCase())
+        .filter(color => /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/.test(color))
+        .map(color => (color.length === 4 ? `#${[...color.slice(1)].map(c => c + c).join('')}` : color));
+    return [...new Set(normalized)];
+}
+
+// Text, background and border colors of visible elements, keyed by hex
+async function collectCssColors(page) {
+    const colors = await page.evaluate((maxElements) => {
+        const dom = window.__uxAuditorDom;
+        const parseColor = (value) => {
+            const match = value && value.match(/rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)/);
+            if (!match) return null;
+            let alpha = match[4] === undefined ? 1 : parseFloat(match[4]);
+            if (match[4] && match[4].endsWith('%')) alpha /= 100;
+            // Mostly transparent colors are tints of whatever is behind them
+            if (alpha < 0.5) return null;
+            return `#${[match[1], match[2], match[3]].map(c => Math.round(+c).toString(16).padStart(2, '0')).join('')}`;
+        };
+
+        const usage = {};
+        const use = (hex, property) => {
+            if (!hex) return;
+            usage[hex] = usage[hex] || { hex, elements: 0, properties: [] };
+            usage[hex].elements++;
+            if (!usage[hex].properties.includes(property)) usage[hex].properties.push(property);
+        };
+
+        [...document.querySelectorAll('body, body *')].slice(0, maxElements).forEach(el => {
+            if (!dom.isVisible(el)) return;
+            const style = getComputedStyle(el);
+            const hasText = [...el.childNodes].some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+            if (hasText) use(parseColor(style.color), 'color');
+            use(parseColor(style.backgroundColor), 'background-color');
+            if (parseFloat(style.borderTopWidth) > 0 && style.borderTopStyle !== 'none') {
+                use(parseColor(style.borderTopColor), 'border-color');
+            }
+        });
+        return Object.values(usage);
+    }, MAX_ELEMENTS);
+
+    return colors.map(color => ({ ...color, lab: toLab(hexToRgb(color.hex)) }));
+}
+
+// CSS colors close enough to be mistaken for each other, most similar first
+function findNearDuplicates(cssColors) {
+    const pairs = [];
+    for (let i = 0; i < cssColors.length; i++) {
+        for (let j = i + 1; j < cssColors.length; j++) {
+            const distance = deltaE(cssColors[i].lab, cssColors[j].lab);
+            if (distance > 0 && distance < NEAR_DUPLICATE_DELTA_E) {
+                pairs.push({
+                    colors: [cssColors[i].hex, cssColors[j].hex],
+                    delta_e: Math.round(distance * 100) / 100,
+                    elements: [cssColors[i].elements, cssColors[j].elements]
+                });
+            }
+        }
+    }
+    return pairs.sort((a, b) => a.delta_e - b.delta_e).slice(0, 20);
+}
+
+function nearestColor(colors, lab) {
+    let nearest = null;
+    colors.forEach(color => {
+        const distance = deltaE(color.lab, lab);
+        if (!nearest || distance < nearest.distance) nearest = { color, distance };
+    });
+    return nearest;
+}
+
+// Split the box with the widest channel range at its median until there are `count` boxes
+function medianCut(pixels, count) {
+    if (pixels.length === 0) return [];
+    const boxes = [pixels];
+    while (boxes.length < count) {
+        let widest = null;
+        boxes.forEach((box, index) => {
+            if (box.length < 2) return;
+            for (let channel = 0; channel < 3; channel++) {
+                let min = 255;
+                let max = 0;
+                box.forEach(pixel => {
+                    if (pixel[channel] < min) min = pixel[channel];
+                    if (pixel[channel] > max) max = pixel[channel];
+                });
+                // Weight by population so large flat areas keep their detail
+                const weight = (max - min) * Math.sqrt(box.length);
+                if (max > min && (!widest || weight > widest.weight)) widest = { index, channel, weight };
+            }
+        });
+        if (!widest) break;
+
+        const box = boxes[widest.index].sort((a, b) => a[widest.channel] - b[widest.channel]);
+        const middle = Math.floor(box.length / 2);
+        boxes.splice(widest.index, 1, box.slice(0, middle), box.slice(middle));
+    }
+
+    return boxes.map(box => ({
+        rgb: [0, 1, 2].map(channel => box.reduce((sum, pixel) => sum + pixel[channel], 0) / box.length),
+        count: box.length
+    }));
+}
+
+// 8-bit, non-interlaced RGB/RGBA PNGs - what page.screenshot() produces
+function decodePng(buffer) {
+    if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error('Screenshot is not a PNG');
+
+    let offset = 8;
+    let header = null;
+    const data = [];
+    while (offset < buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            header = {
+                width: chunk.readUInt32BE(0),
+                height: chunk.readUInt32BE(4),
+                bitDepth: chunk[8],
+                colorType: chunk[9],
+                interlace: chunk[12]
+            };
+        } else if (type === 'IDAT') {
+            data.push(chunk);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += length + 12;
+    }
+
+    if (!header || header.bitDepth !== 8 || header.interlace !== 0 || ![2, 6].includes(header.colorType)) {
+        throw new Error('Unsupported PNG format');
+    }
+
+    const channels = header.colorType === 6 ? 4 : 3;
+    const stride = header.width * channels;
+    const raw = inflateSync(Buffer.concat(data));
+    const pixels = Buffer.alloc(stride * header.height);
+
+    for (let y = 0; y < header.height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const row = y * (stride + 1) + 1;
+        const out = y * stride;
+        for (let x = 0; x < stride; x++) {
+            const left = x >= channels ? pixels[out + x - channels] : 0;
+            const up = y > 0 ? pixels[out - stride + x] : 0;
+            const upLeft = y > 0 && x >= channels ? pixels[out - stride + x - channels] : 0;
+            let predictor = 0;
+            if (filter === 1) predictor = left;
+            else if (filter === 2) predictor = up;
+            else if (filter === 3) predictor = (left + up) >> 1;
+            else if (filter === 4) predictor = paeth(left, up, upLeft);
+            pixels[out + x] = (raw[row + x] + predictor) & 0xff;
+        }
+    }
+
+    return { width: header.width, height: header.height, channels, data: pixels };
+}
+
+function paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const distanceLeft = Math.abs(estimate - left);
+    const distanceUp = Math.abs(estimate - up);
+    const distanceUpLeft = Math.abs(estimate - upLeft);
+    if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) return left;
+    return distanceUp <= distanceUpLeft ? up : upLeft;
+}
+
+// sRGB to CIE L*a*b* (D65)
+function toLab([r, g, b]) {
+    const linear = (c) => {
+        const s = c / 255;
+        return s <= 0.04045 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+    };
+    const [lr, lg, lb] = [linear(r), linear(g), linear(b)];
+    const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+    const y = lr * 0.2126 + lg * 0.7152 + lb * 0.0722;
+    const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+    const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+    return [116 * f(y) - 16, 500 * (f(x) - f(y)), 200 * (f(y) - f(z))];
+}
+
+// CIE76 color difference - around 2.3 is the smallest difference most people notice
+function deltaE(a, b) {
+    return Math.sqrt((a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2);
+}
+
+function toHex(rgb) {
+    return `#${rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function hexToRgb(hex) {
+    return [1, 3, 5].map(index => parseInt(hex.slice(index, index + 2), 16));
+}
+
+export default { extractColorPalette, normalizeHexColors };
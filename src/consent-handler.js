@@ -0,0 +1,223 @@
+// Consent Handler - Detects cookie/consent banners and accepts, rejects or leaves them
+// Per-CMP strategies cover iframe and shadow DOM banners; results feed the audit report
+
+// Playwright CSS selectors pierce open shadow roots, so Usercentrics & co. need no special casing.
+// `frameUrl` marks CMPs that may render their buttons inside an iframe (the main frame is searched too).
+const CMP_STRATEGIES = [
+    {
+        name: 'OneTrust',
+        banner: ['#onetrust-banner-sdk', '#onetrust-pc-sdk'],
+        accept: ['#onetrust-accept-btn-handler', '#accept-recommended-btn-handler'],
+        reject: ['#onetrust-reject-all-handler', '.ot-pc-refuse-all-handler']
+    },
+    {
+        name: 'Cookiebot',
+        banner: ['#CybotCookiebotDialog'],
+        accept: ['#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll', '#CybotCookiebotDialogBodyButtonAccept'],
+        reject: ['#CybotCookiebotDialogBodyButtonDecline']
+    },
+    {
+        name: 'Didomi',
+        banner: ['#didomi-notice', '#didomi-popup'],
+        accept: ['#didomi-notice-agree-button'],
+        reject: ['#didomi-notice-disagree-button', '.didomi-continue-without-agreeing']
+    },
+    {
+        name: 'TrustArc',
+        banner: ['#truste-consent-track', '#consent_blackbar', 'iframe[src*="consent-pref.trustarc.com"]'],
+        accept: ['#truste-consent-button', 'a.call'],
+        reject: ['#truste-consent-required', 'a.required'],
+        frameUrl: /trustarc\.com/
+    },
+    {
+        name: 'Usercentrics',
+        banner: ['#usercentrics-cmp-ui', '[data-testid="uc-banner-container"]', '#uc-banner'],
+        accept: ['[data-testid="uc-accept-all-button"]', '#accept'],
+        reject: ['[data-testid="uc-deny-all-button"]', '#deny']
+    },
+    {
+        name: 'Quantcast',
+        banner: ['#qc-cmp2-ui', '.qc-cmp2-container'],
+        accept: ['.qc-cmp2-summary-buttons button[mode="primary"]', '#qc-cmp2-ui button[mode="primary"]'],
+        reject: ['.qc-cmp2-summary-buttons button[mode="secondary"]']
+    },
+    {
+        name: 'Sourcepoint',
+        banner: ['iframe[id^="sp_message_iframe"]'],
+        accept: ['button.sp_choice_type_11', 'button[title="Accept all"]'],
+        reject: ['button.sp_choice_type_13', 'button[title="Reject all"]'],
+        frameUrl: /sp_message|privacy-mgmt|sourcepoint/
+    },
+    {
+        name: 'Generic',
+        banner: [
+            '[id*="cookie" i][role="dialog"]',
+            '[class*="cookie-banner" i]',
+            '[class*="cookie-consent" i]',
+            '[id*="cookie-banner" i]',
+            '[id*="cookie-notice" i]',
+            '[aria-label*="cookie" i]'
+        ],
+        accept: [
+            'button[aria-label="Accept"]',
+            'button[aria-label="Accept all"]',
+            '.cookie-accept',
+            '[class*="cookie"] button[class*="accept"]',
+            '#accept-cookies'
+        ],
+        reject: [
+            'button[aria-label="Reject"]',
+            'button[aria-label="Reject all"]',
+            '.cookie-reject',
+            '[class*="cookie"] button[class*="reject"]',
+            '[class*="cookie"] button[class*="decline"]'
+        ]
+    }
+];
+
+// Banners covering more of the first screen than this are reported as a UX issue
+const BLOCKING_COVERAGE_PERCENT = 25;
+const CLICK_TIMEOUT_MS = 3000;
+const SETTLE_MS = 1000;
+
+/**
+ * Detect a consent banner, measure it, then accept / reject / leave it
+ * @param {Page} page - Playwright page
+ * @param {Object} options
+ * @param {string} options.action - 'accept', 'reject' or 'leave'
+ * @param {Array<string>} options.acceptSelectors - Extra user-supplied accept buttons
+ * @param {Array<string>} options.rejectSelectors - Extra user-supplied reject buttons
+ * @param {Object} options.log - Crawlee logger
+ * @returns {Promise<Object>} Consent report for the audit result
+ */
+export async function handleConsent(page, { action = 'accept', acceptSelectors = [], rejectSelectors = [], log = console } = {}) {
+    const report = {
+        detected: false,
+        cmp: null,
+        in_iframe: false,
+        action_requested: action,
+        action_taken: 'none',
+        reject_option_available: null,
+        viewport_coverage_percent: 0,
+        dismissed: false,
+        findings: []
+    };
+
+    const strategies = [
+        ...(acceptSelectors.length > 0 || rejectSelectors.length > 0
+            ? [{ name: 'Custom', banner: [], accept: acceptSelectors, reject: rejectSelectors }]
+            : []),
+        ...CMP_STRATEGIES
+    ];
+
+    // Find the first strategy whose banner is visible; custom and generic
+    // accept buttons also count on their own since their banners vary too much,
+    // and custom reject buttons too (users may only supply those)
+    let match = null;
+    for (const strategy of strategies) {
+        const banner = await findVisible(page, strategy.banner);
+        const acceptButton = await findButton(page, strategy, strategy.accept);
+        const buttonOnly = strategy.name === 'Custom' || strategy.name === 'Generic';
+        const customReject = strategy.name === 'Custom' && !acceptButton
+            ? await findButton(page, strategy, strategy.reject)
+            : null;
+        if (banner || (buttonOnly && (acceptButton || customReject))) {
+            match = { strategy, banner, acceptButton };
+            break;
+        }
+    }
+
+    if (!match) {
+        return report;
+    }
+
+    const { strategy, banner } = match;
+    report.detected = true;
+    report.cmp = strategy.name;
+    report.viewport_coverage_percent = banner ? await measureCoverage(page, banner) : 0;
+
+    const rejectButton = await findButton(page, strategy, strategy.reject);
+    report.reject_option_available = Boolean(rejectButton);
+    // Where the buttons actually are - frame CMPs such as TrustArc also render main-document banners
+    report.in_iframe = Boolean((match.acceptButton || rejectButton)?.inIframe);
+    log.info(`🍪 ${strategy.name} consent banner detected (${report.viewport_coverage_percent}% of viewport)`);
+
+    if (report.viewport_coverage_percent >= BLOCKING_COVERAGE_PERCENT) {
+        report.findings.push(`Cookie consent banner (${strategy.name}) covers ${report.viewport_coverage_percent}% of the first screen before it is dismissed`);
+    }
+    // Only known CMPs have reliable reject selectors, so only they get this finding
+    if (!rejectButton && strategy.name !== 'Generic' && strategy.name !== 'Custom') {
+        report.findings.push(`Cookie consent banner (${strategy.name}) offers no one-click reject option`);
+    }
+
+    if (action === 'leave') {
+        report.action_taken = 'left-visible';
+        return report;
+    }
+
+    const button = action === 'reject' ? rejectButton : match.acceptButton;
+    if (!button) {
+        report.action_taken = action === 'reject' ? 'reject-unavailable' : 'accept-unavailable';
+        log.info(`⚠️ No ${action} button found for ${strategy.name} banner`);
+        return report;
+    }
+
+    try {
+        await button.locator.click({ timeout: CLICK_TIMEOUT_MS });
+        await page.waitForTimeout(SETTLE_MS);
+        report.action_taken = action === 'reject' ? 'rejected' : 'accepted';
+        report.dismissed = banner ? !(await banner.isVisible().catch(() => false)) : true;
+        log.info(`✅ Consent banner ${report.action_taken}`);
+    } catch (error) {
+        report.action_taken = 'failed';
+        log.info(`⚠️ Could not click consent button: ${error.message.split('\n')[0]}`);
+    }
+
+    return report;
+}
+
+// First visible element among selectors in the main frame
+async function findVisible(page, selectors) {
+    for (const selector of selectors) {
+        try {
+            const locator = page.locator(selector).first();
+            if (await locator.isVisible()) return locator;
+        } catch (e) {
+            // Invalid or detached selector - try the next one
+        }
+    }
+    return null;
+}
+
+// Buttons live in the main frame or, for iframe CMPs, in the CMP's frame
+async function findButton(page, strategy, selectors) {
+    const mainFrame = page.mainFrame();
+    const frames = strategy.frameUrl
+        ? [mainFrame, ...page.frames().filter(frame => frame !== mainFrame && strategy.frameUrl.test(frame.url()))]
+        : [mainFrame];
+
+    for (const frame of frames) {
+        for (const selector of selectors) {
+            try {
+                const locator = frame.locator(selector).first();
+                if (await locator.isVisible()) return { locator, inIframe: frame !== mainFrame };
+            } catch (e) {
+                // Frame may have navigated away - keep looking
+            }
+        }
+    }
+    return null;
+}
+
+// Share of the viewport covered by the banner, in percent
+async function measureCoverage(page, banner) {
+    const box = await banner.boundingBox().catch(() => null);
+    const viewport = page.viewportSize();
+    if (!box || !viewport) return 0;
+
+    const visibleWidth = Math.max(0, Math.min(box.x + box.width, viewport.width) - Math.max(box.x, 0));
+    const visibleHeight = Math.max(0, Math.min(box.y + box.height, viewport.height) - Math.max(box.y, 0));
+    return Math.round((visibleWidth * visibleHeight) / (viewport.width * viewport.height) * 100);
+}
+
+export default { handleConsent };
@@ -0,0 +1,137 @@
+// Contrast Checker - WCAG 2.x color contrast from computed styles
+// Resolves each visible text element's effective background and applies AA/AAA thresholds
+
+export const CONTRAST_THRESHOLDS = {
+    AA: { normal: 4.5, large: 3 },
+    AAA: { normal: 7, large: 4.5 }
+};
+
+/**
+ * Check the contrast of every visible text element on the page
+ * @param {Page} page - Playwright page with DOM helpers installed
+ * @param {Object} options
+ * @param {string} options.level - 'AA' or 'AAA'
+ * @param {number} options.maxResults - Cap on reported failing elements
+ * @returns {Promise<Object>} { checked, failing_count, indeterminate, failures: [...] }
+ */
+export async function checkColorContrast(page, { level = 'AA', maxResults = 50 } = {}) {
+    return page.evaluate(({ level, maxResults, thresholds }) => {
+        const dom = window.__uxAuditorDom;
+
+        const parseColor = (value) => {
+            const match = value && value.match(/rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)/);
+            if (!match) return null;
+            let alpha = match[4] === undefined ? 1 : parseFloat(match[4]);
+            if (match[4] && match[4].endsWith('%')) alpha /= 100;
+            return { r: +match[1], g: +match[2], b: +match[3], a: alpha };
+        };
+
+        // Alpha-composite `top` over an opaque `bottom`
+        const blend = (top, bottom) => ({
+            r: top.r * top.a + bottom.r * (1 - top.a),
+            g: top.g * top.a + bottom.g * (1 - top.a),
+            b: top.b * top.a + bottom.b * (1 - top.a),
+            a: 1
+        });
+
+        const luminance = ({ r, g, b }) => {
+            const channel = (c) => {
+                const s = c / 255;
+                return s <= 0.03928 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+            };
+            return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+        };
+
+        const toHex = ({ r, g, b }) => `#${[r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+
+        // Walk ancestors collecting translucent background layers until an opaque one
+        const effectiveBackground = (element) => {
+            const layers = [];
+            let opacity = 1;
+            for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+                const style = getComputedStyle(node);
+                opacity *= parseFloat(style.opacity);
+                if (style.backgroundImage && style.backgroundImage !== 'none') {
+                    return { indeterminate: true, opacity };
+                }
+                const color = parseColor(style.backgroundColor);
+                if (color && color.a > 0) {
+                    layers.push(color);
+                    if (color.a >= 1) break;
+                }
+            }
+
+            // Canvas default is white; composite layers from the bottom up
+            let background = { r: 255, g: 255, b: 255, a: 1 };
+            for (let i = layers.length - 1; i >= 0; i--) {
+                background = blend(layers[i], background);
+            }
+            return { color: background, opacity };
+        };
+
+        const results = {
+            checked: 0,
+            failing_count: 0,
+            indeterminate: 0,
+            failures: []
+        };
+        const seen = new Set();
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+        let textNode;
+
+        while ((textNode = walker.nextNode())) {
+            const element = textNode.parentElement;
+            if (!element || seen.has(element) || !textNode.textContent.trim()) continue;
+            if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'OPTION'].includes(element.tagName)) continue;
+            seen.add(element);
+            if (!dom.isVisible(element)) continue;
+
+            const style = getComputedStyle(element);
+            const foreground = parseColor(style.color);
+            const background = effectiveBackground(element);
+            if (!foreground || background.indeterminate) {
+                results.indeterminate++;
+                continue;
+            }
+
+            // Element/ancestor opacity fades the text into what is behind it
+            const text = blend({ ...foreground, a: foreground.a * background.opacity }, background.color);
+            const l1 = luminance(text);
+            const l2 = luminance(background.color);
+            const ratio = (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+
+            const fontSize = parseFloat(style.fontSize);
+            const fontWeight = parseInt(style.fontWeight, 10) || 400;
+            // WCAG large text: 18pt (24px), or 14pt (~18.66px) bold
+            const largeText = fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+            const requiredAA = largeText ? thresholds.AA.large : thresholds.AA.normal;
+            const requiredAAA = largeText ? thresholds.AAA.large : thresholds.AAA.normal;
+            const required = level === 'AAA' ? requiredAAA : requiredAA;
+
+            results.checked++;
+            if (ratio >= required) continue;
+
+            results.failing_count++;
+            results.failures.push({
+                rule: 'color-contrast',
+                wcag: ratio < requiredAA ? '1.4.3' : '1.4.6',
+                level: ratio < requiredAA ? 'AA' : 'AAA',
+                selector: dom.cssPath(element),
+                text: dom.textSnippet(element),
+                foreground: toHex(text),
+                background: toHex(background.color),
+                ratio: Math.round(ratio * 100) / 100,
+                required_ratio: required,
+                font_size_px: fontSize,
+                font_weight: fontWeight,
+                large_text: largeText
+            });
+        }
+
+        results.failures.sort((a, b) => a.ratio - b.ratio);
+        results.failures = results.failures.slice(0, maxResults);
+        return results;
+    }, { level, maxResults, thresholds: CONTRAST_THRESHOLDS });
+}
+
+export default { CONTRAST_THRESHOLDS, checkColorContrast };
@@ -1,6 +1,21 @@
 // Dashboard Generator - Creates beautiful HTML reports for AI UX Auditor
 // Generates a self-contained, interactive dashboard with all audit results
 
+import { findCrossPageSeoIssues } from './technical-seo.js';
+
+// Score categories shown per viewport; optional ones only exist when their analysis ran
+const SCORE_CATEGORIES = [
+    { key: 'performance', icon: '⚡', label: 'Performance' },
+    { key: 'accessibility', icon: '♿', label: 'Accessibility' },
+    { key: 'mobile', icon: '📱', label: 'Mobile' },
+    { key: 'seo', icon: '🔍', label: 'SEO' },
+    { key: 'content', icon: '📝', label: 'Content' },
+    { key: 'conversion', icon: '💰', label: 'Conversion' },
+    { key: 'reliability', icon: '🧯', label: 'Reliability', optional: true },
+    { key: 'security', icon: '🔒', label: 'Security', optional: true },
+    { key: 'privacy', icon: '🕵️', label: 'Privacy', optional: true }
+];
+
 /**
  * Generate a complete HTML dashboard from audit results
  * @param {Array} auditResults - Array of audit result objects
@@ -14,6 +29,10 @@ export function generateDashboard(auditResults) {
         return generateEmptyDashboard();
     }
 
+    // Results for the same URL at different viewports share one card
+    const groups = groupByUrl(results);
+    const crossPageSeo = findCrossPageSeoIssues(results);
+
     const auditDate = new Date().toLocaleDateString('en-US', {
         weekday: 'long',
         year: 'numeric',
@@ -38,10 +57,11 @@ export function generateDashboard(auditResults) {
 </head>
 <body>
     <div class="dashboard">
-        ${generateHeader(auditDate, results.length)}
+        ${generateHeader(auditDate, groups.length, countAuditCategories(results))}
         
         <main class="main-content">
-            ${results.map((result, index) => generateAuditCard(result, index)).join('')}
+            ${generateCrossPageSeo(crossPageSeo)}
+            ${groups.map((group, index) => generateAuditCard(group[0], index, group)).join('')}
         </main>
         
         ${generateFooter()}
@@ -369,6 +389,77 @@ function getStyles() {
         .progress-fill.average { background: var(--accent-warning); }
         .progress-fill.poor { background: var(--accent-danger); }
 
+        /* Core Web Vitals */
+        .vitals-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(130px, 1fr));
+            gap: 0.75rem;
+            margin-bottom: 2rem;
+        }
+
+        .vital-item {
+            background: var(--bg-glass);
+            border: 1px solid var(--border-color);
+            border-left: 3px solid var(--text-muted);
+            border-radius: 10px;
+            padding: 0.75rem 1rem;
+        }
+
+        .vital-item.good { border-left-color: var(--accent-success); }
+        .vital-item.needs-improvement { border-left-color: var(--accent-warning); }
+        .vital-item.poor { border-left-color: var(--accent-danger); }
+
+        .vital-value {
+            font-size: 1.15rem;
+            font-weight: 700;
+        }
+
+        .vital-label {
+            font-size: 0.7rem;
+            color: var(--text-secondary);
+            text-transform: uppercase;
+            letter-spacing: 0.05em;
+        }
+
+        .vital-detail {
+            font-size: 0.7rem;
+            color: var(--text-muted);
+            word-break: break-all;
+            margin-top: 0.25rem;
+        }
+
+        /* Data Tables */
+        .data-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.8rem;
+            color: var(--text-secondary);
+        }
+
+        .data-table th,
+        .data-table td {
+            text-align: left;
+            padding: 0.5rem 0.75rem;
+            border-bottom: 1px solid var(--border-color);
+        }
+
+        .data-table th {
+            color: var(--text-muted);
+            font-weight: 500;
+            text-transform: uppercase;
+            font-size: 0.7rem;
+            letter-spacing: 0.05em;
+        }
+
+        .data-table td.url-cell {
+            word-break: break-all;
+        }
+
+        .data-table td.num {
+            text-align: right;
+            white-space: nowrap;
+        }
+
         /* AI Summary */
         .ai-summary {
             background: linear-gradient(135deg, rgba(99, 102, 241, 0.1) 0%, rgba(139, 92, 246, 0.1) 100%);
@@ -546,6 +637,79 @@ function getStyles() {
             display: block;
         }
 
+        /* Viewport Comparison */
+        .viewport-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+            gap: 1.5rem;
+            align-items: start;
+            margin-top: 1rem;
+        }
+
+        .viewport-column {
+            background: var(--bg-glass);
+            border: 1px solid var(--border-color);
+            border-radius: 16px;
+            padding: 1rem;
+        }
+
+        .viewport-column h4 {
+            font-size: 0.875rem;
+            font-weight: 600;
+            margin-bottom: 0.25rem;
+        }
+
+        .viewport-size {
+            font-size: 0.75rem;
+            color: var(--text-muted);
+            margin-bottom: 0.75rem;
+        }
+
+        .viewport-scores {
+            list-style: none;
+            margin-bottom: 1rem;
+        }
+
+        .viewport-scores li {
+            display: flex;
+            justify-content: space-between;
+            font-size: 0.8rem;
+            color: var(--text-secondary);
+            padding: 0.25rem 0;
+        }
+
+        .viewport-tabs {
+            display: flex;
+            gap: 0.5rem;
+            flex-wrap: wrap;
+            margin-bottom: 1.5rem;
+        }
+
+        .viewport-tab {
+            padding: 0.35rem 0.9rem;
+            border-radius: 20px;
+            font: inherit;
+            font-size: 0.8rem;
+            font-weight: 500;
+            color: var(--text-secondary);
+            background: var(--bg-glass);
+            border: 1px solid var(--border-color);
+            cursor: pointer;
+        }
+
+        .viewport-tab.active {
+            color: var(--text-primary);
+            background: rgba(99, 102, 241, 0.2);
+            border-color: rgba(99, 102, 241, 0.4);
+        }
+
+        .viewport-column img {
+            width: 100%;
+            border-radius: 8px;
+            border: 1px solid var(--border-color);
+            display: block;
+        }
+
         /* Footer */
         .footer {
             text-align: center;
@@ -637,7 +801,7 @@ function getStyles() {
     `;
 }
 
-function generateHeader(auditDate, totalUrls) {
+function generateHeader(auditDate, totalUrls, categoryCount) {
     return `
         <header class="header">
             <div class="header-content">
@@ -649,7 +813,7 @@ function generateHeader(auditDate, totalUrls) {
                         <div class="header-stat-label">URLs Analyzed</div>
                     </div>
                     <div class="header-stat">
-                        <div class="header-stat-value">7</div>
+                        <div class="header-stat-value">${categoryCount}</div>
                         <div class="header-stat-label">Audit Categories</div>
                     </div>
                     <div class="header-stat">
@@ -662,6 +826,10 @@ function generateHeader(auditDate, totalUrls) {
     `;
 }
 
+function countAuditCategories(results) {
+    return SCORE_CATEGORIES.filter(category => !category.optional || results.some(r => r.scores?.[category.key] != null)).length;
+}
+
 function getScoreClass(score) {
     if (score >= 8) return 'excellent';
     if (score >= 6) return 'good';
@@ -669,9 +837,24 @@ function getScoreClass(score) {
     return 'poor';
 }
 
-function generateAuditCard(result, index) {
+function groupByUrl(results) {
+    const groups = new Map();
+    results.forEach(result => {
+        if (!groups.has(result.url)) groups.set(result.url, []);
+        groups.get(result.url).push(result);
+    });
+    return [...groups.values()];
+}
+
+function formatViewportBadge(result) {
+    const isMobile = result.viewport_config ? result.viewport_config.is_mobile : result.viewport === 'mobile';
+    const name = result.viewport || 'desktop';
+    return `${isMobile ? '📱' : '🖥️'} ${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+}
+
+function generateAuditCard(result, index, group = [result]) {
     const overallScore = result.overall_score || result.scores?.overall_ux || 0;
-    const scores = result.scores || {};
+    const hasViewportComparison = group.length > 1;
     
     return `
         <article class="audit-card" style="animation-delay: ${index * 0.1}s">
@@ -680,7 +863,7 @@ function generateAuditCard(result, index) {
                     <h2><a href="${result.url}" target="_blank" rel="noopener">${result.url}</a></h2>
                     <div class="badges">
                         <span class="badge badge-primary">📊 ${result.analysis_type || 'General'}</span>
-                        <span class="badge">${result.viewport === 'mobile' ? '📱 Mobile' : '🖥️ Desktop'}</span>
+                        ${group.map(r => `<span class="badge">${formatViewportBadge(r)}</span>`).join('')}
                         <span class="badge badge-success">🤖 ${(result.ai_provider || 'AI').toUpperCase()}</span>
                     </div>
                 </div>
@@ -692,53 +875,28 @@ function generateAuditCard(result, index) {
                 </div>
             </div>
 
-            <!-- Scores Grid -->
-            <div class="scores-grid">
-                ${generateScoreItem('⚡', 'Performance', scores.performance || 0)}
-                ${generateScoreItem('♿', 'Accessibility', scores.accessibility || 0)}
-                ${generateScoreItem('📱', 'Mobile', scores.mobile || 0)}
-                ${generateScoreItem('🔍', 'SEO', scores.seo || 0)}
-                ${generateScoreItem('📝', 'Content', scores.content || 0)}
-                ${generateScoreItem('💰', 'Conversion', scores.conversion || 0)}
-            </div>
-
-            <!-- AI Summary -->
-            ${result.ai_summary ? `
-                <div class="ai-summary">
-                    <div class="ai-summary-header">
-                        <span>🤖</span> AI Analysis Summary
-                    </div>
-                    <p>${escapeHtml(result.ai_summary)}</p>
-                </div>
-            ` : ''}
-
-            <!-- Color Palette -->
-            ${result.color_palette && result.color_palette.length > 0 ? `
-                <div class="section-title">🎨 Detected Color Palette</div>
-                <div class="color-palette">
-                    ${result.color_palette.map(color => `
-                        <div class="color-swatch tooltip" 
-                             style="background-color: ${color}" 
-                             data-tooltip="Click to copy"
-                             onclick="navigator.clipboard.writeText('${color}')">
-                            ${color}
-                        </div>
+            <!-- Scores and findings, one tab per viewport -->
+            ${hasViewportComparison ? `
+                <div class="viewport-tabs" role="tablist">
+                    ${group.map((r, i) => `
+                        <button type="button" class="viewport-tab${i === 0 ? ' active' : ''}" role="tab" aria-selected="${i === 0}" data-viewport-tab="${i}">${formatViewportBadge(r)}</button>
                     `).join('')}
                 </div>
-            ` : ''}
-
-            <!-- Info Cards -->
-            <div class="cards-grid">
-                ${generateInfoCard('✅ Strengths', result.positive_aspects, 'positive')}
-                ${generateInfoCard('⚠️ Issues Found', result.design_flaws, 'negative')}
-                ${generateInfoCard('💡 Recommendations', result.ai_recommendations, 'recommendation')}
-            </div>
+                ${group.map((r, i) => `
+                    <div class="viewport-details" role="tabpanel" data-viewport-panel="${i}"${i === 0 ? '' : ' hidden'}>
+                        ${generateViewportDetails(r)}
+                    </div>
+                `).join('')}
+            ` : generateViewportDetails(result)}
 
             <!-- Tech Stack -->
             ${result.technology_stack ? generateTechStack(result.technology_stack) : ''}
 
+            <!-- Per-breakpoint scores and screenshots -->
+            ${hasViewportComparison ? generateViewportComparison(group) : ''}
+
             <!-- Screenshot -->
-            ${result.screenshot_url ? `
+            ${!hasViewportComparison && result.screenshot_url ? `
                 <div class="screenshot-container">
                     <div class="screenshot-header">
                         <div class="screenshot-dots">
@@ -759,6 +917,614 @@ function generateAuditCard(result, index) {
     `;
 }
 
+// Scores and every per-page panel for one viewport's result
+function generateViewportDetails(result) {
+    const scores = result.scores || {};
+
+    return `
+        <!-- Scores Grid -->
+        <div class="scores-grid">
+            ${SCORE_CATEGORIES
+                .filter(category => !category.optional || scores[category.key] != null)
+                .map(category => generateScoreItem(category.icon, category.label, scores[category.key] || 0))
+                .join('')}
+        </div>
+
+        <!-- Core Web Vitals -->
+        ${result.performance_metrics?.core_web_vitals ? generateVitalsPanel(result.performance_metrics) : ''}
+
+        <!-- Page Weight -->
+        ${result.performance_metrics?.network ? generateNetworkPanel(result.performance_metrics.network) : ''}
+
+        <!-- Third-Party Impact -->
+        ${result.third_party_analysis ? generateThirdPartyPanel(result.third_party_analysis) : ''}
+
+        <!-- Image Optimization -->
+        ${result.performance_metrics?.image_optimization ? generateImagePanel(result.performance_metrics.image_optimization) : ''}
+
+        <!-- Technical SEO -->
+        ${result.seo_analysis?.technical_seo ? generateSeoPanel(result.seo_analysis) : ''}
+
+        <!-- Typography -->
+        ${result.typography_analysis ? generateTypographyPanel(result.typography_analysis) : ''}
+
+        <!-- Security Headers -->
+        ${result.security_analysis ? generateSecurityPanel(result.security_analysis) : ''}
+
+        <!-- Tracking Before Consent -->
+        ${result.privacy_analysis ? generatePrivacyPanel(result.privacy_analysis) : ''}
+
+        <!-- Console Errors and Failed Requests -->
+        ${result.reliability_analysis ? generateReliabilityPanel(result.reliability_analysis) : ''}
+
+        <!-- Link Health -->
+        ${result.link_check ? generateLinkPanel(result.link_check) : ''}
+
+        <!-- AI Summary -->
+        ${result.ai_summary ? `
+            <div class="ai-summary">
+                <div class="ai-summary-header">
+                    <span>🤖</span> AI Analysis Summary
+                </div>
+                <p>${escapeHtml(result.ai_summary)}</p>
+            </div>
+        ` : ''}
+
+        <!-- Color Palette -->
+        ${result.color_analysis ? generatePalettePanel(result.color_analysis) : result.color_palette && result.color_palette.length > 0 ? `
+            <div class="section-title">🎨 Detected Color Palette</div>
+            <div class="color-palette">
+                ${result.color_palette.map(color => `
+                    <div class="color-swatch tooltip" 
+                         style="background-color: ${color}" 
+                         data-tooltip="Click to copy"
+                         onclick="navigator.clipboard.writeText('${color}')">
+                        ${color}
+                    </div>
+                `).join('')}
+            </div>
+        ` : ''}
+
+        <!-- Info Cards -->
+        <div class="cards-grid">
+            ${generateInfoCard('✅ Strengths', result.positive_aspects, 'positive')}
+            ${generateInfoCard('⚠️ Issues Found', result.design_flaws, 'negative')}
+            ${generateInfoCard('💡 Recommendations', result.ai_recommendations, 'recommendation')}
+        </div>
+    `;
+}
+
+function generateViewportComparison(group) {
+    const rows = [
+        ['⭐ Overall', r => r.overall_score || r.scores?.overall_ux || 0],
+        ...SCORE_CATEGORIES
+            .filter(category => !category.optional || group.some(r => r.scores?.[category.key] != null))
+            .map(category => [`${category.icon} ${category.label}`, r => (category.optional ? r.scores?.[category.key] : r.scores?.[category.key] || 0)])
+    ];
+
+    return `
+        <div class="section-title" style="margin-top: 1.5rem;">📐 Breakpoint Comparison</div>
+        <div class="viewport-grid">
+            ${group.map(r => `
+                <div class="viewport-column">
+                    <h4>${formatViewportBadge(r)}</h4>
+                    <div class="viewport-size">
+                        ${r.viewport_config ? `${r.viewport_config.width}x${r.viewport_config.height} @${r.viewport_config.device_scale_factor}x` : ''}
+                    </div>
+                    <ul class="viewport-scores">
+                        ${rows.map(([label, getScore]) => `
+                            <li><span>${label}</span><strong>${getScore(r) == null ? 'N/A' : Number(getScore(r)).toFixed(1)}</strong></li>
+                        `).join('')}
+                    </ul>
+                    ${r.screenshot_url ? `
+                        <a href="${r.screenshot_url}" target="_blank">
+                            <img src="${r.screenshot_url}" alt="Screenshot at ${escapeHtml(r.viewport)}" loading="lazy">
+                        </a>
+                    ` : ''}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function generateVitalsPanel(performance) {
+    const vitals = performance.core_web_vitals;
+    const ratings = performance.vitals_ratings || {};
+    const formatMs = value => (value === null || value === undefined ? 'N/A' : `${(value / 1000).toFixed(2)}s`);
+
+    const items = [
+        { label: 'LCP', value: formatMs(vitals.lcp_ms), rating: ratings.lcp_ms, detail: vitals.lcp_element?.selector },
+        { label: 'CLS', value: vitals.cls ?? 'N/A', rating: ratings.cls, detail: vitals.cls_sources?.[0]?.selector },
+        { label: 'TBT', value: vitals.tbt_ms === null ? 'N/A' : `${vitals.tbt_ms}ms`, rating: ratings.tbt_ms, detail: `${vitals.long_tasks_count} long tasks` },
+        { label: 'FCP', value: formatMs(vitals.fcp_ms), rating: ratings.fcp_ms },
+        { label: 'TTFB', value: formatMs(vitals.ttfb_ms), rating: ratings.ttfb_ms },
+        { label: 'DOM Ready', value: formatMs(vitals.dom_content_loaded_ms) },
+        { label: 'Load', value: formatMs(vitals.load_ms) }
+    ];
+
+    return `
+        <div class="section-title">⏱️ Core Web Vitals</div>
+        <div class="vitals-grid">
+            ${items.map(item => `
+                <div class="vital-item ${item.rating || ''}">
+                    <div class="vital-value">${item.value}</div>
+                    <div class="vital-label">${item.label}</div>
+                    ${item.detail ? `<div class="vital-detail">${escapeHtml(item.detail)}</div>` : ''}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+function generateNetworkPanel(network) {
+    const types = Object.entries(network.by_type || {})
+        .sort((a, b) => b[1].transferred_bytes - a[1].transferred_bytes);
+
+    return `
+        <div class="section-title">📦 Page Weight: ${formatBytes(network.transferred_bytes)} transferred in ${network.total_requests} requests</div>
+        <div class="cards-grid">
+            <div class="info-card">
+                <h3>By Resource Type</h3>
+                <table class="data-table">
+                    <tr><th>Type</th><th>Requests</th><th>Transferred</th><th>Uncompressed</th></tr>
+                    ${types.map(([type, stats]) => `
+                        <tr>
+                            <td>${escapeHtml(type)}</td>
+                            <td class="num">${stats.requests}</td>
+                            <td class="num">${formatBytes(stats.transferred_bytes)}</td>
+                            <td class="num">${formatBytes(stats.uncompressed_bytes)}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            </div>
+            <div class="info-card">
+                <h3>Largest Resources</h3>
+                <table class="data-table">
+                    ${(network.largest_resources || []).slice(0, 5).map(resource => `
+                        <tr>
+                            <td class="url-cell">${escapeHtml(resource.url)}</td>
+                            <td class="num">${formatBytes(resource.transfer_bytes)}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            </div>
+        </div>
+    `;
+}
+
+function generateThirdPartyPanel(thirdParties) {
+    const mainThread = thirdParties.third_party_main_thread_ms;
+    const counts = [
+        ['Third Parties', thirdParties.third_party_count, 'good'],
+        ['Share of Bytes', `${thirdParties.third_party_byte_share}%`, thirdParties.third_party_byte_share > 50 ? 'poor' : thirdParties.third_party_byte_share > 25 ? 'needs-improvement' : 'good'],
+        ['Main Thread', mainThread != null ? `${mainThread}ms` : 'N/A', mainThread >= 250 ? 'poor' : mainThread > 0 ? 'needs-improvement' : 'good'],
+        ['Render-Blocking', thirdParties.render_blocking_count, thirdParties.render_blocking_count > 0 ? 'poor' : 'good']
+    ];
+
+    return `
+        <div class="section-title">🧩 Third-Party Impact: ${formatBytes(thirdParties.third_party_bytes)} in ${thirdParties.third_party_requests} requests</div>
+        <div class="vitals-grid">
+            ${counts.map(([label, value, rating]) => `
+                <div class="vital-item ${rating}">
+                    <div class="vital-value">${escapeHtml(String(value))}</div>
+                    <div class="vital-label">${label}</div>
+                </div>
+            `).join('')}
+        </div>
+        <div class="cards-grid">
+            ${thirdParties.entities.length > 0 ? `
+                <div class="info-card">
+                    <h3>By Company</h3>
+                    <table class="data-table">
+                        <tr><th>Company</th><th>Requests</th><th>Transferred</th><th>Main Thread</th></tr>
+                        ${thirdParties.entities.slice(0, 12).map(entity => `
+                            <tr>
+                                <td title="${escapeHtml(entity.products.join(', ') || entity.domains.join(', '))}">${escapeHtml(entity.entity)}${entity.render_blocking.length > 0 ? ' ⛔' : ''}</td>
+                                <td class="num">${entity.requests}</td>
+                                <td class="num">${formatBytes(entity.transfer_bytes)}</td>
+                                <td class="num">${entity.main_thread_ms != null ? `${entity.main_thread_ms}ms` : 'N/A'}</td>
+                            </tr>
+                        `).join('')}
+                    </table>
+                </div>
+            ` : ''}
+            ${generateInfoCard('⚠️ Third-Party Issues', thirdParties.issues.map(issue => issue.message), 'negative')}
+        </div>
+    `;
+}
+
+function generateImagePanel(images) {
+    const counts = [
+        ['Oversized', images.issue_counts.oversized, 'poor'],
+        ['Legacy Format', images.issue_counts['legacy-format'], 'needs-improvement'],
+        ['No srcset / sizes', images.issue_counts['missing-srcset'] + images.issue_counts['srcset-without-sizes'], 'needs-improvement'],
+        ['No Dimensions', images.issue_counts['missing-dimensions'], 'needs-improvement'],
+        ['Offscreen, Not Lazy', images.issue_counts['offscreen-not-lazy'], 'needs-improvement'],
+        ['Lazy LCP Image', images.issue_counts['lazy-lcp-image'], 'poor']
+    ];
+
+    return `
+        <div class="section-title">🖼️ Images: ${formatBytes(images.estimated_savings_bytes)} of ${formatBytes(images.total_image_bytes)} could be saved</div>
+        <div class="vitals-grid">
+            ${counts.map(([label, count, severity]) => `
+                <div class="vital-item ${count > 0 ? severity : 'good'}">
+                    <div class="vital-value">${count}</div>
+                    <div class="vital-label">${label}</div>
+                </div>
+            `).join('')}
+        </div>
+        ${images.images.length > 0 ? `
+            <div class="cards-grid">
+                <div class="info-card">
+                    <h3>Images to Fix</h3>
+                    <table class="data-table">
+                        ${images.images.slice(0, 10).map(image => `
+                            <tr>
+                                <td class="url-cell">${escapeHtml(image.src)}</td>
+                                <td>${escapeHtml(image.issues.join(', '))}</td>
+                                <td class="num">${image.natural_size ? `${image.natural_size} → ${image.rendered_size}` : image.rendered_size}</td>
+                                <td class="num">${image.estimated_savings_bytes > 0 ? `-${formatBytes(image.estimated_savings_bytes)}` : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </table>
+                </div>
+            </div>
+        ` : ''}
+    `;
+}
+
+function generateSeoPanel(seo) {
+    const technical = seo.technical_seo;
+    const rows = [
+        ['Canonical', technical.canonical.url || 'Missing'],
+        ['Indexable', technical.robots.indexable ? 'Yes' : `No (${technical.robots.directives.join(', ')})`],
+        ['Title length', `${technical.title_length} chars`],
+        ['Description length', `${technical.description_length} chars`],
+        ['hreflang', technical.hreflang.alternates.length > 0 ? `${technical.hreflang.alternates.length} alternates` : 'None'],
+        ['Open Graph', technical.open_graph.complete ? 'Complete' : `Missing ${technical.open_graph.missing.join(', ')}`],
+        ['Twitter card', technical.twitter_card.complete ? technical.twitter_card.type : `Missing ${technical.twitter_card.missing.join(', ')}`],
+        ['Structured data', technical.structured_data.types.join(', ') || 'None']
+    ];
+
+    return `
+        <div class="section-title">🔍 Technical SEO</div>
+        <div class="cards-grid">
+            <div class="info-card">
+                <h3>Signals</h3>
+                <table class="data-table">
+                    ${rows.map(([label, value]) => `
+                        <tr>
+                            <th>${label}</th>
+                            <td class="url-cell">${escapeHtml(String(value))}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            </div>
+            ${generateInfoCard('⚠️ SEO Issues', technical.issues.map(issue => issue.message), 'negative')}
+        </div>
+    `;
+}
+
+function generatePalettePanel(colors) {
+    return `
+        <div class="section-title">🎨 Color Palette (${colors.distinct_css_colors} CSS colors)</div>
+        <div class="color-palette">
+            ${colors.palette.map(color => `
+                <div class="color-swatch tooltip" 
+                     style="background-color: ${color.hex}" 
+                     data-tooltip="${color.coverage > 0 ? `${color.coverage}% of screenshot` : 'Text / borders'} - click to copy"
+                     onclick="navigator.clipboard.writeText('${color.hex}')">
+                    ${color.hex}
+                </div>
+            `).join('')}
+        </div>
+        ${colors.near_duplicates.length > 0 ? `
+            <div class="cards-grid">
+                <div class="info-card">
+                    <h3>Near-Duplicate Colors</h3>
+                    <table class="data-table">
+                        ${colors.near_duplicates.slice(0, 10).map(pair => `
+                            <tr>
+                                <th>${pair.colors.map(hex => `<span style="color: ${hex}">■</span> ${hex}`).join(' ~ ')}</th>
+                                <td>ΔE ${pair.delta_e}</td>
+                                <td class="num">${pair.elements.join(' / ')} elements</td>
+                            </tr>
+                        `).join('')}
+                    </table>
+                </div>
+            </div>
+        ` : ''}
+    `;
+}
+
+function generateTypographyPanel(typography) {
+    const scale = typography.type_scale;
+    const lineLength = typography.line_length.median_chars;
+    const metrics = [
+        ['Font Families', typography.font_family_count, typography.font_family_count > 3 ? 'poor' : 'good'],
+        ['Font Weights', typography.font_weights.length, typography.font_weights.length > 4 ? 'needs-improvement' : 'good'],
+        ['Body Size', typography.body_font_size_px != null ? `${typography.body_font_size_px}px` : 'N/A', typography.issues.some(issue => issue.rule === 'small-body-text') ? 'poor' : 'good'],
+        ['Line Height', typography.body_line_height ?? 'N/A', typography.issues.some(issue => issue.rule === 'tight-line-height') ? 'needs-improvement' : 'good'],
+        ['Chars / Line', lineLength ?? 'N/A', lineLength > 80 ? 'needs-improvement' : 'good'],
+        ['Text Under 12px', typography.small_text_count, typography.small_text_count > 0 ? 'needs-improvement' : 'good']
+    ];
+
+    return `
+        <div class="section-title">🔤 Typography (${typography.viewport_width}px wide)</div>
+        <div class="vitals-grid">
+            ${metrics.map(([label, value, rating]) => `
+                <div class="vital-item ${rating}">
+                    <div class="vital-value">${escapeHtml(String(value))}</div>
+                    <div class="vital-label">${label}</div>
+                </div>
+            `).join('')}
+        </div>
+        <div class="cards-grid">
+            <div class="info-card">
+                <h3>Fonts in Use</h3>
+                <table class="data-table">
+                    ${typography.font_families.slice(0, 8).map(font => `
+                        <tr>
+                            <th>${escapeHtml(font.family)}${font.web_font ? ' (web font)' : ''}</th>
+                            <td>${font.weights.join(', ')}</td>
+                            <td class="num">${font.share}%</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            </div>
+            <div class="info-card">
+                <h3>Type Scale${scale.scale_ratio ? ` (×${scale.scale_ratio}${scale.named_scale ? `, ${escapeHtml(scale.named_scale)}` : ''})` : ''}</h3>
+                <table class="data-table">
+                    ${scale.headings.map(heading => `
+                        <tr>
+                            <th>${heading.level}</th>
+                            <td class="num">${heading.sizes_px.map(size => `${size}px`).join(', ')}</td>
+                        </tr>
+                    `).join('')}
+                    <tr>
+                        <th>body</th>
+                        <td class="num">${typography.body_font_size_px != null ? `${typography.body_font_size_px}px` : 'N/A'}</td>
+                    </tr>
+                </table>
+            </div>
+            ${generateInfoCard('⚠️ Typography Issues', typography.issues.map(issue => issue.message), 'negative')}
+        </div>
+    `;
+}
+
+function generateSecurityPanel(security) {
+    const headers = security.headers;
+    const rows = [
+        ['HTTPS', security.https ? (security.tls ? `Yes (${security.tls.protocol}, expires in ${security.tls.days_until_expiry} days)` : 'Yes') : 'No'],
+        ['Content-Security-Policy', headers.content_security_policy.present ? `Set via ${headers.content_security_policy.source}` : headers.content_security_policy.report_only ? 'Report-only' : 'Missing'],
+        ['Strict-Transport-Security', headers.strict_transport_security.present ? `max-age=${headers.strict_transport_security.max_age}` : 'Missing'],
+        ['X-Content-Type-Options', headers.x_content_type_options || 'Missing'],
+        ['Referrer-Policy', headers.referrer_policy || 'Missing (browser default)'],
+        ['Permissions-Policy', headers.permissions_policy ? 'Set' : 'Missing'],
+        ['Frame protection', headers.frame_protection.protected ? (headers.frame_protection.csp_frame_ancestors ? 'CSP frame-ancestors' : headers.frame_protection.x_frame_options) : 'None']
+    ];
+    const counts = [
+        ['High', security.issues.filter(issue => issue.severity === 'high').length, 'poor'],
+        ['Medium', security.issues.filter(issue => issue.severity === 'medium').length, 'needs-improvement'],
+        ['Insecure Cookies', security.cookies.filter(cookie => cookie.issues.length > 0).length, 'needs-improvement'],
+        ['Mixed Content', security.mixed_content.active.length + security.mixed_content.passive.length, 'poor'],
+        ['Insecure Forms', security.insecure_forms.length, 'poor']
+    ];
+
+    return `
+        <div class="section-title">🔒 Security</div>
+        <div class="vitals-grid">
+            ${counts.map(([label, count, severity]) => `
+                <div class="vital-item ${count > 0 ? severity : 'good'}">
+                    <div class="vital-value">${count}</div>
+                    <div class="vital-label">${label}</div>
+                </div>
+            `).join('')}
+        </div>
+        <div class="cards-grid">
+            <div class="info-card">
+                <h3>Headers</h3>
+                <table class="data-table">
+                    ${rows.map(([label, value]) => `
+                        <tr>
+                            <th>${label}</th>
+                            <td class="url-cell">${escapeHtml(String(value))}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            </div>
+            ${generateInfoCard('⚠️ Security Issues', security.issues.filter(issue => issue.severity !== 'low').map(issue => issue.message), 'negative')}
+        </div>
+    `;
+}
+
+function generatePrivacyPanel(privacy) {
+    const before = privacy.before_consent;
+    const after = privacy.after_consent;
+    const banner = privacy.consent_banner.detected
+        ? `${privacy.consent_banner.cmp} banner, ${privacy.consent_banner.action_taken}`
+        : 'no consent banner';
+    const counts = [
+        ['Trackers Before Consent', before.trackers.length, 'poor'],
+        ['Tracking Cookies Before', before.tracking_cookies.length, 'poor'],
+        ['Third Parties Before', before.third_parties.length, 'needs-improvement'],
+        ['Added After Consent', privacy.added_after_consent ? privacy.added_after_consent.trackers.length : 0, privacy.consent_banner.action_taken === 'rejected' ? 'poor' : 'good']
+    ];
+    const rows = (after || before).third_parties.slice(0, 15).map(party => ({
+        ...party,
+        before: before.third_parties.some(item => item.entity === party.entity)
+    }));
+
+    return `
+        <div class="section-title">🕵️ Tracking Before Consent (${escapeHtml(banner)})</div>
+        <div class="vitals-grid">
+            ${counts.map(([label, count, severity]) => `
+                <div class="vital-item ${count > 0 ? severity : 'good'}">
+                    <div class="vital-value">${count}</div>
+                    <div class="vital-label">${label}</div>
+                </div>
+            `).join('')}
+        </div>
+        <div class="cards-grid">
+            ${rows.length > 0 ? `
+                <div class="info-card">
+                    <h3>Third Parties</h3>
+                    <table class="data-table">
+                        ${rows.map(party => `
+                            <tr>
+                                <th>${escapeHtml(party.entity)}</th>
+                                <td>${escapeHtml(party.category)}</td>
+                                <td>${party.before ? 'Before consent' : 'After consent'}</td>
+                                <td class="num">${party.requests}</td>
+                            </tr>
+                        `).join('')}
+                    </table>
+                </div>
+            ` : ''}
+            ${generateInfoCard('⚠️ Privacy Issues', privacy.issues.map(issue => issue.message), 'negative')}
+        </div>
+    `;
+}
+
+function generateReliabilityPanel(reliability) {
+    const counts = [
+        ['JS Exceptions', reliability.uncaught_exceptions, 'poor'],
+        ['Console Errors', reliability.console_errors, 'needs-improvement'],
+        ['Failed Requests', reliability.failed_requests, 'poor'],
+        ['Broken Images', reliability.broken_images, 'needs-improvement']
+    ];
+    const withCount = (item) => `${item.text}${item.count > 1 ? ` (×${item.count})` : ''}`;
+
+    return `
+        <div class="section-title">🧯 Console Errors and Broken Resources</div>
+        <div class="vitals-grid">
+            ${counts.map(([label, count, severity]) => `
+                <div class="vital-item ${count > 0 ? severity : 'good'}">
+                    <div class="vital-value">${count}</div>
+                    <div class="vital-label">${label}</div>
+                </div>
+            `).join('')}
+        </div>
+        <div class="cards-grid">
+            ${reliability.failed_request_list.length > 0 ? `
+                <div class="info-card">
+                    <h3>Failed Requests</h3>
+                    <table class="data-table">
+                        ${reliability.failed_request_list.map(request => `
+                            <tr>
+                                <th>${escapeHtml(request.status || request.error)}</th>
+                                <td>${escapeHtml(request.type)}${request.first_party ? '' : ' (third party)'}</td>
+                                <td class="url-cell">${escapeHtml(request.url)}</td>
+                            </tr>
+                        `).join('')}
+                    </table>
+                </div>
+            ` : ''}
+            ${generateInfoCard('💥 JS Exceptions', reliability.exceptions.map(withCount), 'negative')}
+            ${generateInfoCard('🛑 Console Errors', reliability.errors.map(withCount), 'negative')}
+            ${generateInfoCard('🖼️ Broken Images', reliability.broken_image_list.map(image => image.src), 'negative')}
+        </div>
+    `;
+}
+
+function generateLinkPanel(links) {
+    const problems = [
+        ...links.broken.map(link => ({ label: link.status || 'Error', url: link.url, detail: link.error || link.text })),
+        ...links.redirect_loops.map(link => ({ label: 'Loop', url: link.url, detail: link.chain.map(hop => hop.status).join(' → ') })),
+        ...links.missing_fragments.map(link => ({ label: 'No #id', url: link.url, detail: link.text })),
+        ...links.insecure_links.map(link => ({ label: 'HTTP', url: link.url, detail: link.text }))
+    ];
+    const chains = links.redirects.filter(link => link.hops > 1);
+    const counts = [
+        ['Broken', links.broken.length, 'poor'],
+        ['Redirected', links.redirects.length, 'needs-improvement'],
+        ['Redirect Loops', links.redirect_loops.length, 'poor'],
+        ['Missing Anchors', links.missing_fragments.length, 'needs-improvement'],
+        ['HTTP Links', links.insecure_links.length, 'needs-improvement']
+    ];
+
+    return `
+        <div class="section-title">🔗 Link Health: ${links.checked} of ${links.unique_urls} URLs checked</div>
+        <div class="vitals-grid">
+            ${counts.map(([label, count, severity]) => `
+                <div class="vital-item ${count > 0 ? severity : 'good'}">
+                    <div class="vital-value">${count}</div>
+                    <div class="vital-label">${label}</div>
+                </div>
+            `).join('')}
+        </div>
+        ${problems.length > 0 || chains.length > 0 ? `
+            <div class="cards-grid">
+                ${problems.length > 0 ? `
+                    <div class="info-card">
+                        <h3>Problem Links</h3>
+                        <table class="data-table">
+                            ${problems.slice(0, 10).map(problem => `
+                                <tr>
+                                    <th>${escapeHtml(String(problem.label))}</th>
+                                    <td class="url-cell">${escapeHtml(problem.url)}</td>
+                                    <td>${escapeHtml(problem.detail)}</td>
+                                </tr>
+                            `).join('')}
+                        </table>
+                    </div>
+                ` : ''}
+                ${chains.length > 0 ? `
+                    <div class="info-card">
+                        <h3>Redirect Chains</h3>
+                        <table class="data-table">
+                            ${chains.slice(0, 10).map(link => `
+                                <tr>
+                                    <td class="url-cell">${escapeHtml(link.url)} → ${escapeHtml(link.final_url)}</td>
+                                    <td class="num">${link.hops} hops</td>
+                                </tr>
+                            `).join('')}
+                        </table>
+                    </div>
+                ` : ''}
+            </div>
+        ` : ''}
+    `;
+}
+
+function generateCrossPageSeo(crossPage) {
+    const { duplicate_titles: titles, duplicate_descriptions: descriptions, hreflang_missing_return_links: hreflang } = crossPage;
+    if (titles.length === 0 && descriptions.length === 0 && hreflang.length === 0) return '';
+
+    const table = (heading, rows) => (rows.length === 0 ? '' : `
+        <div class="info-card">
+            <h3>${heading}</h3>
+            <table class="data-table">
+                ${rows.join('')}
+            </table>
+        </div>
+    `);
+
+    return `
+        <section class="audit-card">
+            <div class="section-title">🧭 Site-wide SEO</div>
+            <div class="cards-grid">
+                ${table('👯 Duplicate Titles', titles.map(group => `
+                    <tr><th>${escapeHtml(group.title)}</th><td class="url-cell">${group.urls.map(escapeHtml).join('<br>')}</td></tr>
+                `))}
+                ${table('👯 Duplicate Descriptions', descriptions.map(group => `
+                    <tr><th>${escapeHtml(group.description)}</th><td class="url-cell">${group.urls.map(escapeHtml).join('<br>')}</td></tr>
+                `))}
+                ${table('🌐 hreflang Without Return Link', hreflang.map(link => `
+                    <tr><th>${escapeHtml(link.lang)}</th><td class="url-cell">${escapeHtml(link.from)} → ${escapeHtml(link.to)}</td></tr>
+                `))}
+            </div>
+        </section>
+    `;
+}
+
 function generateScoreItem(icon, label, score) {
     const scoreClass = getScoreClass(score);
     return `
@@ -796,18 +1562,27 @@ function generateInfoCard(title, items, type) {
 function generateTechStack(tech) {
     const techItems = [];
     
-    if (tech.frontend_framework) techItems.push({ name: tech.frontend_framework, detected: true });
-    if (tech.css_framework) techItems.push({ name: tech.css_framework, detected: true });
-    if (tech.cms) techItems.push({ name: tech.cms, detected: true });
-    if (tech.ecommerce) techItems.push({ name: tech.ecommerce, detected: true });
-    if (tech.analytics && tech.analytics.length > 0) {
-        tech.analytics.forEach(a => techItems.push({ name: a, detected: true }));
-    }
-    if (tech.javascript_libraries && tech.javascript_libraries.length > 0) {
-        tech.javascript_libraries.forEach(lib => techItems.push({ name: lib, detected: true }));
-    }
-    if (tech.fonts && tech.fonts.length > 0) {
-        tech.fonts.forEach(font => techItems.push({ name: font, detected: true }));
+    if (tech.detected) {
+        // Fingerprint matches carry version and confidence; weak matches stay in the dataset only
+        tech.detected.filter(item => item.confidence >= 50).forEach(item => techItems.push({
+            name: item.version ? `${item.name} ${item.version}` : item.name,
+            title: `${item.category.replace(/_/g, ' ')} · ${item.confidence}% confidence (${item.evidence.join(', ')})`,
+            detected: true
+        }));
+    } else {
+        if (tech.frontend_framework) techItems.push({ name: tech.frontend_framework, detected: true });
+        if (tech.css_framework) techItems.push({ name: tech.css_framework, detected: true });
+        if (tech.cms) techItems.push({ name: tech.cms, detected: true });
+        if (tech.ecommerce) techItems.push({ name: tech.ecommerce, detected: true });
+        if (tech.analytics && tech.analytics.length > 0) {
+            tech.analytics.forEach(a => techItems.push({ name: a, detected: true }));
+        }
+        if (tech.javascript_libraries && tech.javascript_libraries.length > 0) {
+            tech.javascript_libraries.forEach(lib => techItems.push({ name: lib, detected: true }));
+        }
+        if (tech.fonts && tech.fonts.length > 0) {
+            tech.fonts.forEach(font => techItems.push({ name: font, detected: true }));
+        }
     }
 
     if (techItems.length === 0) return '';
@@ -816,7 +1591,7 @@ function generateTechStack(tech) {
         <div class="section-title" style="margin-top: 1.5rem;">⚙️ Detected Technologies</div>
         <div class="tech-stack">
             ${techItems.map(item => `
-                <span class="tech-badge ${item.detected ? 'detected' : ''}">${item.name}</span>
+                <span class="tech-badge ${item.detected ? 'detected' : ''}"${item.title ? ` title="${escapeHtml(item.title)}"` : ''}>${escapeHtml(item.name)}</span>
             `).join('')}
         </div>
     `;
@@ -853,6 +1628,20 @@ function getScripts() {
             observer.observe(card);
         });
 
+        // Switch the per-viewport findings of a card
+        document.querySelectorAll('.viewport-tab').forEach(tab => {
+            tab.addEventListener('click', function() {
+                const card = this.closest('.audit-card');
+                card.querySelectorAll('.viewport-tab').forEach(other => {
+                    other.classList.toggle('active', other === this);
+                    other.setAttribute('aria-selected', String(other === this));
+                });
+                card.querySelectorAll('.viewport-details').forEach(panel => {
+                    panel.hidden = panel.dataset.viewportPanel !== this.dataset.viewportTab;
+                });
+            });
+        });
+
         // Copy color to clipboard with feedback
         document.querySelectorAll('.color-swatch').forEach(swatch => {
             swatch.addEventListener('click', function() {
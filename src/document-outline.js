@@ -0,0 +1,246 @@
+// Document Outline - Heading hierarchy, landmarks and ARIA validity
+// Uses the DOM for structure and Chromium's accessibility tree (DevTools protocol) for accessible names
+
+// WAI-ARIA 1.2 roles (DPUB doc-* and graphics-* roles are accepted by prefix)
+const ARIA_ROLES = new Set([
+    'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption', 'cell',
+    'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'deletion',
+    'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure', 'form', 'generic', 'grid', 'gridcell',
+    'group', 'heading', 'img', 'image', 'insertion', 'link', 'list', 'listbox', 'listitem', 'log', 'main', 'mark',
+    'marquee', 'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation',
+    'none', 'note', 'option', 'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row',
+    'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider', 'spinbutton', 'status',
+    'strong', 'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term', 'textbox',
+    'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+]);
+
+// WAI-ARIA 1.2 states and properties, without the aria- prefix
+const ARIA_ATTRIBUTES = new Set([
+    'activedescendant', 'atomic', 'autocomplete', 'braillelabel', 'brailleroledescription', 'busy', 'checked',
+    'colcount', 'colindex', 'colindextext', 'colspan', 'controls', 'current', 'describedby', 'description',
+    'details', 'disabled', 'dropeffect', 'errormessage', 'expanded', 'flowto', 'grabbed', 'haspopup', 'hidden',
+    'invalid', 'keyshortcuts', 'label', 'labelledby', 'level', 'live', 'modal', 'multiline', 'multiselectable',
+    'orientation', 'owns', 'placeholder', 'posinset', 'pressed', 'readonly', 'relevant', 'required',
+    'roledescription', 'rowcount', 'rowindex', 'rowindextext', 'rowspan', 'selected', 'setsize', 'sort',
+    'valuemax', 'valuemin', 'valuenow', 'valuetext'
+]);
+
+// Accessibility tree roles that users operate and therefore need a name
+const CONTROL_ROLES = new Set([
+    'button', 'link', 'textbox', 'searchbox', 'checkbox', 'radio', 'combobox', 'listbox', 'menuitem',
+    'menuitemcheckbox', 'menuitemradio', 'tab', 'switch', 'slider', 'spinbutton', 'option'
+]);
+
+const REQUIRED_LANDMARKS = ['main', 'navigation', 'banner', 'contentinfo'];
+
+/**
+ * Analyze the heading outline, landmarks and ARIA usage of the page
+ * @param {Page} page - Playwright page with DOM helpers installed
+ * @returns {Promise<Object>} Outline findings with a 1-10 `heading_structure_score` and `violations`
+ */
+export async function analyzeDocumentOutline(page) {
+    const outline = await page.evaluate(collectOutline, {
+        roles: [...ARIA_ROLES],
+        attributes: [...ARIA_ATTRIBUTES],
+        landmarks: REQUIRED_LANDMARKS
+    });
+
+    const names = await collectAccessibleNames(page);
+    const controls = names.controls || [];
+    const unnamedControls = controls.filter(control => !control.name);
+
+    const violations = [];
+    const h1Count = outline.headings.filter(h => h.level === 1).length;
+
+    if (h1Count === 0) {
+        violations.push({ rule: 'page-has-heading-one', wcag: '1.3.1', count: 1, message: 'Page has no H1 heading' });
+    } else if (h1Count > 1) {
+        violations.push({ rule: 'multiple-h1', wcag: '1.3.1', count: h1Count, selectors: outline.headings.filter(h => h.level === 1).map(h => h.selector) });
+    }
+    outline.skipped_levels.forEach(skip => {
+        violations.push({ rule: 'heading-order', wcag: '1.3.1', selector: skip.selector, text: skip.text, message: `H${skip.from} followed by H${skip.to}` });
+    });
+    outline.empty_headings.forEach(selector => {
+        violations.push({ rule: 'empty-heading', wcag: '2.4.6', selector });
+    });
+    outline.missing_landmarks.forEach(landmark => {
+        violations.push({ rule: 'landmark-missing', wcag: '1.3.1', landmark, message: `No ${landmark} landmark` });
+    });
+    if (outline.landmark_counts.main > 1) {
+        violations.push({ rule: 'landmark-main-multiple', wcag: '1.3.1', count: outline.landmark_counts.main });
+    }
+    outline.invalid_roles.forEach(item => {
+        violations.push({ rule: 'aria-invalid-role', wcag: '4.1.2', selector: item.selector, message: `Unknown role "${item.role}"` });
+    });
+    outline.invalid_attributes.forEach(item => {
+        violations.push({ rule: 'aria-invalid-attribute', wcag: '4.1.2', selector: item.selector, message: `Unknown attribute "${item.attribute}"` });
+    });
+    outline.aria_hidden_focusable.forEach(item => {
+        violations.push({ rule: 'aria-hidden-focus', wcag: '4.1.2', selector: item.selector, count: item.focusable_count, selectors: item.focusable });
+    });
+    outline.duplicate_referenced_ids.forEach(item => {
+        violations.push({ rule: 'duplicate-id-aria', wcag: '4.1.1', selector: item.referenced_by, message: `id "${item.id}" is used ${item.count} times` });
+    });
+    outline.missing_referenced_ids.forEach(item => {
+        violations.push({ rule: 'aria-reference-missing', wcag: '1.3.1', selector: item.referenced_by, message: `${item.attribute} points to missing id "${item.id}"` });
+    });
+    if (unnamedControls.length > 0) {
+        violations.push({ rule: 'unnamed-control', wcag: '4.1.2', count: unnamedControls.length, roles: [...new Set(unnamedControls.map(c => c.role))] });
+    }
+
+    let score = outline.headings.length === 0 ? 3 : 10;
+    if (outline.headings.length > 0) {
+        if (h1Count === 0) score -= 3;
+        if (h1Count > 1) score -= 1;
+        score -= Math.min(3, outline.skipped_levels.length);
+        if (outline.empty_headings.length > 0) score -= 1;
+    }
+    if (outline.missing_landmarks.includes('main')) score -= 1;
+
+    return {
+        heading_structure_score: Math.max(1, score),
+        headings: outline.headings.slice(0, 100),
+        h1_count: h1Count,
+        skipped_heading_levels: outline.skipped_levels,
+        landmarks: outline.landmark_counts,
+        missing_landmarks: outline.missing_landmarks,
+        aria_issues: outline.invalid_roles.length + outline.invalid_attributes.length +
+            outline.aria_hidden_focusable.length + outline.duplicate_referenced_ids.length + outline.missing_referenced_ids.length,
+        // Without the accessibility tree, control names are unknown rather than all present
+        accessible_names_checked: !names.error,
+        accessible_names_error: names.error,
+        controls: names.error ? null : controls.slice(0, 100),
+        unnamed_controls: names.error ? null : unnamedControls.length,
+        violations
+    };
+}
+
+// Browser: walk headings, landmarks and aria-* usage
+function collectOutline({ roles, attributes, landmarks }) {
+    const dom = window.__uxAuditorDom;
+    const validRoles = new Set(roles);
+    const validAttributes = new Set(attributes);
+    const cap = (list) => list.slice(0, 50);
+
+    // Headings in document order, including role="heading"
+    const headings = [];
+    document.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]').forEach(element => {
+        if (!dom.isVisible(element) || element.closest('[aria-hidden="true"]')) return;
+        const level = element.getAttribute('role') === 'heading'
+            ? parseInt(element.getAttribute('aria-level'), 10) || 2
+            : parseInt(element.tagName.slice(1), 10);
+        headings.push({ level, text: dom.textSnippet(element, 80), selector: dom.cssPath(element) });
+    });
+
+    const skippedLevels = [];
+    const emptyHeadings = [];
+    headings.forEach((heading, i) => {
+        if (!heading.text) emptyHeadings.push(heading.selector);
+        const previous = i > 0 ? headings[i - 1].level : null;
+        if (previous !== null && heading.level > previous + 1) {
+            skippedLevels.push({ from: previous, to: heading.level, selector: heading.selector, text: heading.text });
+        }
+    });
+
+    // header/footer are only banner/contentinfo when not scoped to a sectioning element
+    const sectioning = 'article, aside, main, nav, section';
+    const landmarkCounts = {
+        main: document.querySelectorAll('main, [role="main"]').length,
+        navigation: document.querySelectorAll('nav, [role="navigation"]').length,
+        banner: [...document.querySelectorAll('header')].filter(el => !el.parentElement.closest(sectioning)).length +
+            document.querySelectorAll('[role="banner"]:not(header)').length,
+        contentinfo: [...document.querySelectorAll('footer')].filter(el => !el.parentElement.closest(sectioning)).length +
+            document.querySelectorAll('[role="contentinfo"]:not(footer)').length
+    };
+
+    const invalidRoles = [];
+    const invalidAttributes = [];
+    document.querySelectorAll('*').forEach(element => {
+        const role = element.getAttribute('role');
+        if (role !== null) {
+            // Space-separated fallback list: valid if any token is a known role
+            const tokens = role.trim().toLowerCase().split(/\s+/).filter(Boolean);
+            const known = tokens.some(token => validRoles.has(token) || /^(doc|graphics)-/.test(token));
+            if (!known) invalidRoles.push({ role, selector: dom.cssPath(element) });
+        }
+        for (const attribute of element.attributes) {
+            if (attribute.name.startsWith('aria-') && !validAttributes.has(attribute.name.slice(5))) {
+                invalidAttributes.push({ attribute: attribute.name, selector: dom.cssPath(element) });
+            }
+        }
+    });
+
+    // Focusable content inside aria-hidden is announced as nothing but still receives focus
+    const focusableSelector = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), ' +
+        'select:not([disabled]), textarea:not([disabled]), [contenteditable="true"], [tabindex]';
+    const ariaHiddenFocusable = [];
+    document.querySelectorAll('[aria-hidden="true"]').forEach(container => {
+        if (container.parentElement && container.parentElement.closest('[aria-hidden="true"]')) return;
+        const focusable = [container, ...container.querySelectorAll(focusableSelector)]
+            .filter(el => el.matches(focusableSelector) && el.tabIndex >= 0 && !el.closest('[inert]') && dom.isVisible(el));
+        if (focusable.length > 0) {
+            ariaHiddenFocusable.push({
+                selector: dom.cssPath(container),
+                focusable_count: focusable.length,
+                focusable: focusable.slice(0, 5).map(el => dom.cssPath(el))
+            });
+        }
+    });
+
+    // IDs referenced by ARIA relationships must exist exactly once
+    const idCounts = {};
+    document.querySelectorAll('[id]').forEach(element => {
+        idCounts[element.id] = (idCounts[element.id] || 0) + 1;
+    });
+    const duplicateReferenced = [];
+    const missingReferenced = [];
+    const reported = new Set();
+    document.querySelectorAll('[aria-labelledby], [aria-describedby]').forEach(element => {
+        ['aria-labelledby', 'aria-describedby'].forEach(attribute => {
+            (element.getAttribute(attribute) || '').split(/\s+/).filter(Boolean).forEach(id => {
+                const key = `${attribute}:${id}`;
+                if (reported.has(key)) return;
+                if (!idCounts[id]) {
+                    reported.add(key);
+                    missingReferenced.push({ id, attribute, referenced_by: dom.cssPath(element) });
+                } else if (idCounts[id] > 1) {
+                    reported.add(key);
+                    duplicateReferenced.push({ id, count: idCounts[id], attribute, referenced_by: dom.cssPath(element) });
+                }
+            });
+        });
+    });
+
+    return {
+        headings,
+        skipped_levels: cap(skippedLevels),
+        empty_headings: cap(emptyHeadings),
+        landmark_counts: landmarkCounts,
+        missing_landmarks: landmarks.filter(landmark => landmarkCounts[landmark] === 0),
+        invalid_roles: cap(invalidRoles),
+        invalid_attributes: cap(invalidAttributes),
+        aria_hidden_focusable: cap(ariaHiddenFocusable),
+        duplicate_referenced_ids: cap(duplicateReferenced),
+        missing_referenced_ids: cap(missingReferenced)
+    };
+}
+
+// Accessible names as computed by the browser, for every operable control
+async function collectAccessibleNames(page) {
+    let session = null;
+    try {
+        session = await page.context().newCDPSession(page);
+        const { nodes } = await session.send('Accessibility.getFullAXTree');
+        const controls = nodes
+            .filter(node => !node.ignored && node.role && CONTROL_ROLES.has(node.role.value))
+            .map(node => ({ role: node.role.value, name: String(node.name?.value ?? '').trim() }));
+        return { controls, error: null };
+    } catch (error) {
+        console.log(`⚠️ Accessible names unavailable: ${error.message}`);
+        return { controls: null, error: error.message };
+    } finally {
+        if (session) await session.detach().catch(() => {});
+    }
+}
+
+export default { analyzeDocumentOutline };
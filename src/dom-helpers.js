@@ -0,0 +1,66 @@
+// DOM Helpers - In-page utilities shared by the DOM analyzers
+// Installed as an init script so every audited document has window.__uxAuditorDom
+
+/**
+ * Define window.__uxAuditorDom on every document the page loads (call before navigation)
+ * @param {Page} page - Playwright page
+ */
+export async function installDomHelpers(page) {
+    await page.addInitScript(defineDomHelpers);
+}
+
+// Runs inside the browser - must not reference anything outside its own body
+function defineDomHelpers() {
+    if (window.__uxAuditorDom) return;
+
+    const escape = (value) => (window.CSS && CSS.escape ? CSS.escape(value) : value.replace(/[^\w-]/g, '\\$&'));
+
+    window.__uxAuditorDom = {
+        // Short, human-readable selector that identifies the element on the page
+        cssPath(element) {
+            if (!element || element.nodeType !== 1) return null;
+
+            const parts = [];
+            let node = element;
+            while (node && node.nodeType === 1 && parts.length < 5) {
+                if (node.id && document.querySelectorAll(`#${escape(node.id)}`).length === 1) {
+                    parts.unshift(`#${escape(node.id)}`);
+                    break;
+                }
+
+                let part = node.tagName.toLowerCase();
+                const classes = [...node.classList].filter(c => !/^\d/.test(c)).slice(0, 2);
+                if (classes.length > 0) part += classes.map(c => `.${escape(c)}`).join('');
+
+                const parent = node.parentElement;
+                if (parent) {
+                    const sameTag = [...parent.children].filter(child => child.tagName === node.tagName);
+                    if (sameTag.length > 1) part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+                }
+
+                parts.unshift(part);
+                if (node === document.body) break;
+                node = parent;
+            }
+            return parts.join(' > ');
+        },
+
+        // Rendered, not hidden by CSS, and has a box
+        isVisible(element) {
+            if (!element || !element.isConnected) return false;
+            if (element.checkVisibility && !element.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true })) {
+                return false;
+            }
+            const rect = element.getBoundingClientRect();
+            return rect.width > 0 && rect.height > 0;
+        },
+
+        // Trimmed, whitespace-collapsed text for reports
+        textSnippet(element, maxLength = 60) {
+            const text = (element.innerText || element.textContent || '').replace(/\s+/g, ' ').trim();
+            return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+        }
+    };
+}
+
+export default { installDomHelpers };
@@ -0,0 +1,265 @@
+// Form Analyzer - Labels, autofill and input ergonomics of every form on the page
+// Results feed both the accessibility (labels, errors) and conversion (friction) sections
+
+// WHATWG autofill field names accepted in the `autocomplete` attribute
+const AUTOFILL_FIELDS = [
+    'name', 'honorific-prefix', 'given-name', 'additional-name', 'family-name', 'honorific-suffix', 'nickname',
+    'username', 'new-password', 'current-password', 'one-time-code', 'organization-title', 'organization',
+    'street-address', 'address-line1', 'address-line2', 'address-line3', 'address-level4', 'address-level3',
+    'address-level2', 'address-level1', 'country', 'country-name', 'postal-code', 'cc-name', 'cc-given-name',
+    'cc-additional-name', 'cc-family-name', 'cc-number', 'cc-exp', 'cc-exp-month', 'cc-exp-year', 'cc-csc',
+    'cc-type', 'transaction-currency', 'transaction-amount', 'language', 'bday', 'bday-day', 'bday-month',
+    'bday-year', 'sex', 'url', 'photo', 'tel', 'tel-country-code', 'tel-national', 'tel-area-code', 'tel-local',
+    'tel-local-prefix', 'tel-local-suffix', 'tel-extension', 'email', 'impp'
+];
+
+// Field purpose guessed from name/id/label text, most specific first
+const PURPOSE_PATTERNS = [
+    ['email', 'e-?mail'],
+    ['tel', 'phone|mobile|\\btel\\b|telephone'],
+    ['cc-number', 'card.?num|cc.?num|credit.?card'],
+    ['cc-csc', '\\bcvc\\b|\\bcvv\\b|security.?code'],
+    ['cc-exp', 'expir|\\bexp\\b'],
+    ['one-time-code', '\\botp\\b|one.?time|verification.?code'],
+    ['given-name', 'first.?name|given.?name|\\bfname\\b|forename'],
+    ['family-name', 'last.?name|family.?name|surname|\\blname\\b'],
+    ['postal-code', 'zip|postal|postcode'],
+    ['address-level2', '\\bcity\\b|\\btown\\b'],
+    ['country', 'country'],
+    ['street-address', 'street|address'],
+    ['organization', 'company|organi[sz]ation'],
+    ['username', 'user.?name|login'],
+    ['name', 'full.?name|your.?name|^name$']
+];
+
+// Input types / inputmode that bring up the right on-screen keyboard
+const EXPECTED_TYPES = {
+    email: { type: 'email' },
+    tel: { type: 'tel' },
+    url: { type: 'url' },
+    'cc-number': { inputmode: 'numeric' },
+    'cc-csc': { inputmode: 'numeric' },
+    'one-time-code': { inputmode: 'numeric' }
+};
+
+const LONG_FORM_FIELDS = 7;
+
+/**
+ * Analyze every form control on the page
+ * @param {Page} page - Playwright page with DOM helpers installed
+ * @returns {Promise<Object>} Per-form summaries, field issues, accessibility violations and conversion friction
+ */
+export async function analyzeForms(page) {
+    const { forms, fields } = await page.evaluate(collectFormFields, {
+        purposePatterns: PURPOSE_PATTERNS
+    });
+
+    const autofillFields = new Set(AUTOFILL_FIELDS);
+    const issues = [];
+    const addIssue = (field, rule, message) => issues.push({ rule, selector: field.selector, label: field.name, message });
+
+    for (const field of fields) {
+        if (!field.name) {
+            addIssue(field, 'unlabeled-form-control', 'Field has no accessible name');
+        } else if (field.name_source === 'placeholder') {
+            addIssue(field, 'placeholder-as-label', 'Placeholder is the only label and disappears while typing');
+        }
+
+        const autofill = parseAutocomplete(field.autocomplete, autofillFields);
+        if (field.autocomplete && autofill === null) {
+            addIssue(field, 'autocomplete-valid', `Invalid autocomplete value "${field.autocomplete}"`);
+        } else if (field.purpose && !autofill) {
+            addIssue(field, 'missing-autocomplete', `Looks like a ${field.purpose} field but has no autocomplete="${field.purpose}"`);
+        }
+
+        const purpose = autofill && autofill !== 'off' && autofill !== 'on' ? autofill : field.purpose;
+        const expected = EXPECTED_TYPES[purpose];
+        if (field.tag === 'input' && expected) {
+            if (expected.type && field.type !== expected.type) {
+                addIssue(field, 'input-type', `${purpose} field uses type="${field.type}" instead of type="${expected.type}"`);
+            }
+            if (expected.inputmode && field.type !== 'number' && field.inputmode !== expected.inputmode) {
+                addIssue(field, 'input-type', `${purpose} field should use inputmode="${expected.inputmode}"`);
+            }
+        }
+        if (field.type === 'number' && ['tel', 'cc-number', 'cc-csc', 'postal-code', 'one-time-code'].includes(purpose)) {
+            addIssue(field, 'input-type', `type="number" on a ${purpose} field drops leading zeros and adds spinners`);
+        }
+
+        if (field.required && !field.required_indicated) {
+            addIssue(field, 'required-not-indicated', 'Required field has no visible "*" or "required" in its label');
+        }
+        if (field.unassociated_error) {
+            addIssue(field, 'error-not-associated', `Error "${field.unassociated_error}" is not linked with aria-describedby`);
+        }
+    }
+
+    const friction = [];
+    forms.forEach(form => {
+        if (form.field_count > LONG_FORM_FIELDS) friction.push({ type: 'long-form', selector: form.selector, field_count: form.field_count });
+        if (form.field_count > 0 && form.has_submit === false) friction.push({ type: 'no-submit-button', selector: form.selector });
+    });
+    const countRule = (rule) => issues.filter(issue => issue.rule === rule).length;
+    if (countRule('missing-autocomplete') > 0) friction.push({ type: 'no-autofill', count: countRule('missing-autocomplete') });
+    if (countRule('input-type') > 0) friction.push({ type: 'wrong-keyboard', count: countRule('input-type') });
+    if (countRule('placeholder-as-label') > 0) friction.push({ type: 'placeholder-labels', count: countRule('placeholder-as-label') });
+
+    // Labels: full credit for a real name, half for placeholder-only
+    const labelCredit = fields.reduce((sum, field) => sum + (!field.name ? 0 : field.name_source === 'placeholder' ? 0.5 : 1), 0);
+    const formLabelsScore = fields.length === 0 ? 10 : Math.max(1, Math.round(labelCredit / fields.length * 10));
+
+    let optimization = 10;
+    optimization -= friction.filter(f => f.type === 'long-form').length;
+    optimization -= friction.filter(f => f.type === 'no-submit-button').length;
+    optimization -= Math.min(2, countRule('missing-autocomplete'));
+    optimization -= Math.min(2, countRule('input-type'));
+    if (countRule('placeholder-as-label') > 0) optimization -= 1;
+    if (countRule('required-not-indicated') > 0) optimization -= 1;
+
+    return {
+        forms_count: forms.filter(form => form.selector !== null).length,
+        fields_count: fields.length,
+        forms,
+        unlabeled_fields: countRule('unlabeled-form-control'),
+        placeholder_only_labels: countRule('placeholder-as-label'),
+        form_labels_score: formLabelsScore,
+        form_optimization_score: fields.length === 0 ? 10 : Math.max(1, optimization),
+        fields: fields.slice(0, 100).map(({ selector, tag, type, name, name_source, autocomplete, required, form_index }) =>
+            ({ selector, tag, type, name, name_source, autocomplete, required, form_index })),
+        issues: issues.slice(0, 100),
+        friction
+    };
+}
+
+/**
+ * Convert form issues into WCAG violation entries for the accessibility section
+ * @param {Object} formAnalysis - Result of analyzeForms
+ * @returns {Array<Object>}
+ */
+export function formViolations(formAnalysis) {
+    const wcag = {
+        'unlabeled-form-control': '4.1.2',
+        'placeholder-as-label': '3.3.2',
+        'required-not-indicated': '3.3.2',
+        'error-not-associated': '3.3.1',
+        'autocomplete-valid': '1.3.5',
+        'missing-autocomplete': '1.3.5'
+    };
+    return formAnalysis.issues
+        .filter(issue => wcag[issue.rule])
+        .map(issue => ({ ...issue, wcag: wcag[issue.rule] }));
+}
+
+// Returns the autofill field name, 'on'/'off', '' when absent, or null when invalid
+function parseAutocomplete(value, autofillFields) {
+    if (!value) return '';
+    const tokens = value.trim().toLowerCase().split(/\s+/);
+    if (tokens.length === 1 && (tokens[0] === 'on' || tokens[0] === 'off')) return tokens[0];
+
+    if (tokens[tokens.length - 1] === 'webauthn') tokens.pop();
+    if (tokens[0] && tokens[0].startsWith('section-')) tokens.shift();
+    if (['shipping', 'billing'].includes(tokens[0])) tokens.shift();
+    if (['home', 'work', 'mobile', 'fax', 'pager'].includes(tokens[0])) tokens.shift();
+
+    return tokens.length === 1 && autofillFields.has(tokens[0]) ? tokens[0] : null;
+}
+
+// Browser: collect every fillable control with its accessible name and context
+function collectFormFields({ purposePatterns }) {
+    const dom = window.__uxAuditorDom;
+    const patterns = purposePatterns.map(([purpose, source]) => [purpose, new RegExp(source, 'i')]);
+    const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+    const byIds = (ids) => clean((ids || '').split(/\s+/).filter(Boolean)
+        .map(id => document.getElementById(id)).filter(Boolean).map(el => el.textContent).join(' '));
+
+    // Rendered, even if visually hidden for a custom checkbox/radio design
+    const isRendered = (element) => element.getClientRects().length > 0 && getComputedStyle(element).visibility !== 'hidden';
+
+    const skipTypes = ['hidden', 'submit', 'reset', 'button', 'image'];
+    const controls = [...document.querySelectorAll('input, select, textarea')]
+        .filter(el => !skipTypes.includes((el.getAttribute('type') || '').toLowerCase()) && !el.disabled && isRendered(el));
+
+    const formElements = [...document.querySelectorAll('form')];
+    const forms = formElements.map(form => ({
+        selector: dom.cssPath(form),
+        action: form.getAttribute('action'),
+        method: (form.getAttribute('method') || 'get').toLowerCase(),
+        field_count: 0,
+        required_count: 0,
+        has_submit: Boolean(form.querySelector('button:not([type="button"]):not([type="reset"]), input[type="submit"], input[type="image"]')) ||
+            Boolean(form.id && document.querySelector(`[form="${CSS.escape(form.id)}"][type="submit"]`))
+    }));
+    // Fields outside any <form> (search boxes, JS-driven widgets) - a submit button is not expected there
+    const looseFields = { selector: null, action: null, method: null, field_count: 0, required_count: 0, has_submit: null };
+
+    // Visible error messages, to check they are wired to a field
+    const errorElements = [...document.querySelectorAll('[role="alert"], [aria-live="assertive"], .error, .invalid-feedback, [class*="error-message"], [class*="field-error"]')]
+        .filter(el => dom.isVisible(el) && clean(el.textContent));
+
+    const fields = controls.map(control => {
+        const tag = control.tagName.toLowerCase();
+        const type = tag === 'input' ? (control.getAttribute('type') || 'text').toLowerCase() : tag;
+
+        // Accessible name, in accname precedence order
+        let name = '';
+        let nameSource = null;
+        const labelled = byIds(control.getAttribute('aria-labelledby'));
+        const labelTexts = [...(control.labels || [])].map(label => clean(label.textContent)).filter(Boolean);
+        if (labelled) {
+            name = labelled; nameSource = 'aria-labelledby';
+        } else if (clean(control.getAttribute('aria-label'))) {
+            name = clean(control.getAttribute('aria-label')); nameSource = 'aria-label';
+        } else if (labelTexts.length > 0) {
+            name = labelTexts.join(' '); nameSource = 'label';
+        } else if (clean(control.getAttribute('title'))) {
+            name = clean(control.getAttribute('title')); nameSource = 'title';
+        } else if (clean(control.getAttribute('placeholder'))) {
+            name = clean(control.getAttribute('placeholder')); nameSource = 'placeholder';
+        }
+
+        const hint = [control.getAttribute('name'), control.id, name].filter(Boolean).join(' ');
+        const match = ['text', 'email', 'tel', 'number', 'search', 'password'].includes(type) || tag === 'textarea'
+            ? patterns.find(([, regex]) => regex.test(hint))
+            : null;
+        let purpose = match ? match[0] : null;
+        if (type === 'password') purpose = null;
+
+        const required = control.required || control.getAttribute('aria-required') === 'true';
+        const indicatorText = [name, ...[...(control.labels || [])].flatMap(label =>
+            [getComputedStyle(label, '::before').content, getComputedStyle(label, '::after').content])].join(' ');
+        const requiredIndicated = /\*|required|mandatory/i.test(indicatorText);
+
+        // Error text next to the field that assistive tech will not announce with it
+        const describedBy = `${control.getAttribute('aria-describedby') || ''} ${control.getAttribute('aria-errormessage') || ''}`.split(/\s+/);
+        const container = control.closest('.form-group, .field, [class*="form-field"], [class*="input-group"], li, p, div') || control.parentElement;
+        const nearbyError = errorElements.find(el => container && container.contains(el) && !el.contains(control));
+        const unassociatedError = nearbyError && !(nearbyError.id && describedBy.includes(nearbyError.id))
+            ? dom.textSnippet(nearbyError, 60)
+            : null;
+
+        const formIndex = control.form ? formElements.indexOf(control.form) : -1;
+        const form = formIndex >= 0 ? forms[formIndex] : looseFields;
+        form.field_count++;
+        if (required) form.required_count++;
+
+        return {
+            selector: dom.cssPath(control),
+            tag,
+            type,
+            name: name.slice(0, 80),
+            name_source: nameSource,
+            autocomplete: control.getAttribute('autocomplete'),
+            inputmode: control.getAttribute('inputmode'),
+            purpose,
+            required,
+            required_indicated: requiredIndicated,
+            unassociated_error: unassociatedError,
+            form_index: formIndex
+        };
+    });
+
+    if (looseFields.field_count > 0) forms.push(looseFields);
+    return { forms, fields };
+}
+
+export default { analyzeForms, formViolations };
@@ -0,0 +1,236 @@
+// Image Analyzer - Oversized images, legacy formats, responsive markup, dimensions and lazy loading
+// Covers <img> elements and CSS background images; byte sizes come from the network recorder
+
+const MAX_BACKGROUND_IMAGES = 50;
+const BACKGROUND_LOAD_TIMEOUT_MS = 3000;
+const MIN_SAVINGS_BYTES = 4096; // Smaller wins are not worth flagging
+const OVERSIZE_RATIO = 1.5; // Natural pixels over the pixels needed at the device pixel ratio
+const SRCSET_MIN_WIDTH = 600; // Natural width from which one size cannot suit every screen
+
+// Typical size reduction when re-encoding as WebP at similar quality
+const FORMAT_SAVINGS = {
+    jpeg: 0.3,
+    png: 0.25,
+    gif: 0.4,
+    bmp: 0.9,
+    tiff: 0.9
+};
+
+const MIME_FORMATS = {
+    'image/jpeg': 'jpeg',
+    'image/jpg': 'jpeg',
+    'image/pjpeg': 'jpeg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/avif': 'avif',
+    'image/svg+xml': 'svg',
+    'image/bmp': 'bmp',
+    'image/tiff': 'tiff',
+    'image/x-icon': 'ico',
+    'image/vnd.microsoft.icon': 'ico'
+};
+
+const ISSUE_MESSAGES = {
+    'oversized': count => `${count} images are larger than they are displayed`,
+    'legacy-format': count => `${count} images could be served as WebP or AVIF`,
+    'missing-srcset': count => `${count} large images have no srcset for smaller screens`,
+    'srcset-without-sizes': count => `${count} images use width-based srcset without sizes (browsers assume 100vw)`,
+    'missing-dimensions': count => `${count} images have no width/height or aspect-ratio (layout shift risk)`,
+    'offscreen-not-lazy': count => `${count} below-the-fold images load eagerly (add loading="lazy")`,
+    'lazy-lcp-image': () => 'The LCP image is lazy-loaded, which delays Largest Contentful Paint'
+};
+
+/**
+ * Check every image and CSS background image on the page
+ * @param {Page} page - Playwright page with DOM helpers installed
+ * @param {Object} options
+ * @param {Array<Object>} options.networkEntries - Entries from the network recorder (for byte sizes)
+ * @param {Object} options.lcpElement - `lcp_element` from collectWebVitals
+ * @param {number} options.maxResults - Cap on images listed in the report
+ * @returns {Promise<Object>} Per-image findings, issue counts and the estimated byte savings total
+ */
+export async function analyzeImages(page, { networkEntries = [], lcpElement = null, maxResults = 30 } = {}) {
+    const data = await page.evaluate(async ({ maxBackgrounds, loadTimeout }) => {
+        const dom = window.__uxAuditorDom;
+        const viewportHeight = window.innerHeight;
+        const transferSize = (url) => {
+            const entry = performance.getEntriesByName(url)[0];
+            return entry && entry.encodedBodySize > 0 ? entry.encodedBodySize : null;
+        };
+        const box = (element) => {
+            const rect = element.getBoundingClientRect();
+            return { width: Math.round(rect.width), height: Math.round(rect.height), top: Math.round(rect.top + window.scrollY) };
+        };
+
+        const images = [...document.images]
+            .filter(img => img.currentSrc || img.src)
+            .map(img => {
+                const style = getComputedStyle(img);
+                const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+                return {
+                    kind: 'img',
+                    src: img.currentSrc || img.src,
+                    selector: dom.cssPath(img),
+                    natural_width: img.naturalWidth,
+                    natural_height: img.naturalHeight,
+                    rendered: box(img),
+                    visible: dom.isVisible(img),
+                    loading: (img.getAttribute('loading') || '').toLowerCase() || null,
+                    fetchpriority: img.getAttribute('fetchpriority'),
+                    has_dimensions: (img.hasAttribute('width') && img.hasAttribute('height')) || style.aspectRatio !== 'auto',
+                    srcset: img.getAttribute('srcset') || (picture && picture.querySelector('source[srcset]') ? 'picture' : null),
+                    width_descriptors: /\d+w(\s*,|\s*$)/.test(img.getAttribute('srcset') || ''),
+                    sizes: img.getAttribute('sizes'),
+                    bytes: transferSize(img.currentSrc || img.src)
+                };
+            });
+
+        // First url() of each visible element's background
+        const backgrounds = [];
+        for (const el of document.querySelectorAll('body, body *')) {
+            if (backgrounds.length >= maxBackgrounds) break;
+            const style = getComputedStyle(el);
+            const match = style.backgroundImage.match(/url\(["']?([^"')]+)["']?\)/);
+            if (!match || !dom.isVisible(el)) continue;
+            backgrounds.push({
+                kind: 'background',
+                src: new URL(match[1], document.baseURI).href,
+                selector: dom.cssPath(el),
+                rendered: box(el),
+                visible: true,
+                // Sprites and tiled patterns show a fraction of the image - only scaled backgrounds can be oversized
+                scaled: /cover|contain|100%/.test(style.backgroundSize),
+                bytes: null
+            });
+        }
+
+        // Decode background images (already in the cache) for their natural size
+        await Promise.all(backgrounds.map(background => new Promise(resolve => {
+            const image = new Image();
+            const timer = setTimeout(resolve, loadTimeout);
+            image.onload = image.onerror = () => {
+                clearTimeout(timer);
+                background.natural_width = image.naturalWidth;
+                background.natural_height = image.naturalHeight;
+                background.bytes = transferSize(background.src);
+                resolve();
+            };
+            image.src = background.src;
+        })));
+
+        return { images, backgrounds, viewportHeight, devicePixelRatio: window.devicePixelRatio || 1 };
+    }, { maxBackgrounds: MAX_BACKGROUND_IMAGES, loadTimeout: BACKGROUND_LOAD_TIMEOUT_MS });
+
+    const entriesByUrl = new Map(networkEntries.filter(entry => entry.type === 'images').map(entry => [entry.url, entry]));
+    const all = [...data.images, ...data.backgrounds].map(image => {
+        const entry = entriesByUrl.get(image.src);
+        return checkImage({
+            ...image,
+            bytes: entry ? entry.body_bytes : image.bytes,
+            format: detectFormat(image.src, entry?.mime_type),
+            lcp: isLcpImage(image, lcpElement)
+        }, data);
+    });
+
+    const counts = Object.fromEntries(Object.keys(ISSUE_MESSAGES).map(rule => [rule, 0]));
+    all.forEach(image => image.issues.forEach(rule => counts[rule]++));
+
+    const lcpImage = all.find(image => image.lcp) || null;
+    const flagged = all.filter(image => image.issues.length > 0);
+
+    // The same file shown in several places is downloaded (and can be saved) once
+    const bySrc = new Map();
+    all.forEach(image => {
+        const known = bySrc.get(image.src);
+        if (!known || image.estimated_savings_bytes > known.estimated_savings_bytes) bySrc.set(image.src, image);
+    });
+    const unique = [...bySrc.values()];
+
+    return {
+        image_count: data.images.length,
+        background_image_count: data.backgrounds.length,
+        total_image_bytes: unique.reduce((sum, image) => sum + (image.bytes || 0), 0),
+        estimated_savings_bytes: unique.reduce((sum, image) => sum + image.estimated_savings_bytes, 0),
+        // Offscreen images that could wait until the visitor scrolls
+        deferrable_bytes: unique.filter(image => image.issues.includes('offscreen-not-lazy')).reduce((sum, image) => sum + (image.bytes || 0), 0),
+        device_pixel_ratio: data.devicePixelRatio,
+        formats: all.reduce((formats, image) => ({ ...formats, [image.format]: (formats[image.format] || 0) + 1 }), {}),
+        lcp_image: lcpImage ? { src: lcpImage.src, loading: lcpImage.loading || 'eager', fetchpriority: lcpImage.fetchpriority || null } : null,
+        issue_counts: counts,
+        issues: Object.entries(counts)
+            .filter(([, count]) => count > 0)
+            .map(([rule, count]) => ({ rule, message: ISSUE_MESSAGES[rule](count) })),
+        images: flagged
+            .sort((a, b) => b.estimated_savings_bytes - a.estimated_savings_bytes || b.issues.length - a.issues.length)
+            .slice(0, maxResults)
+    };
+}
+
+function checkImage(image, { viewportHeight, devicePixelRatio }) {
+    const issues = [];
+    const raster = !['svg', 'unknown'].includes(image.format);
+    const loaded = image.natural_width > 0 && image.natural_height > 0;
+    let savings = 0;
+
+    // Pixels needed to fill the rendered box sharply on this screen
+    const neededPixels = image.rendered.width * image.rendered.height * devicePixelRatio * devicePixelRatio;
+    const naturalPixels = loaded ? image.natural_width * image.natural_height : 0;
+    const canBeOversized = raster && loaded && neededPixels > 0 && (image.kind === 'img' || image.scaled);
+    if (canBeOversized && naturalPixels > neededPixels * OVERSIZE_RATIO) {
+        const resizeSavings = image.bytes ? Math.round(image.bytes * (1 - neededPixels / naturalPixels)) : 0;
+        if (!image.bytes || resizeSavings >= MIN_SAVINGS_BYTES) {
+            issues.push('oversized');
+            savings += resizeSavings;
+        }
+    }
+
+    if (FORMAT_SAVINGS[image.format] && loaded) {
+        const formatSavings = image.bytes ? Math.round((image.bytes - savings) * FORMAT_SAVINGS[image.format]) : 0;
+        if (image.bytes ? formatSavings >= MIN_SAVINGS_BYTES : naturalPixels >= 100 * 100) {
+            issues.push('legacy-format');
+            savings += formatSavings;
+        }
+    }
+
+    if (image.kind === 'img') {
+        if (raster && !image.srcset && image.natural_width >= SRCSET_MIN_WIDTH) issues.push('missing-srcset');
+        if (image.width_descriptors && !image.sizes) issues.push('srcset-without-sizes');
+        if (image.visible && !image.has_dimensions) issues.push('missing-dimensions');
+        if (image.lcp && image.loading === 'lazy') issues.push('lazy-lcp-image');
+        if (!image.lcp && image.loading !== 'lazy' && image.rendered.top > viewportHeight) issues.push('offscreen-not-lazy');
+    }
+
+    return {
+        kind: image.kind,
+        src: image.src,
+        selector: image.selector,
+        format: image.format,
+        bytes: image.bytes,
+        natural_size: loaded ? `${image.natural_width}x${image.natural_height}` : null,
+        rendered_size: `${image.rendered.width}x${image.rendered.height}`,
+        loading: image.loading || null,
+        fetchpriority: image.fetchpriority || null,
+        lcp: image.lcp,
+        issues,
+        estimated_savings_bytes: savings
+    };
+}
+
+function isLcpImage(image, lcpElement) {
+    if (!lcpElement) return false;
+    if (lcpElement.url) return lcpElement.url === image.src;
+    return Boolean(lcpElement.selector) && lcpElement.selector === image.selector;
+}
+
+function detectFormat(src, mimeType) {
+    if (mimeType && MIME_FORMATS[mimeType]) return MIME_FORMATS[mimeType];
+    const dataUri = src.match(/^data:(image\/[\w.+-]+)/);
+    if (dataUri) return MIME_FORMATS[dataUri[1]] || 'unknown';
+    const extension = src.split(/[?#]/)[0].match(/\.(\w+)$/);
+    if (!extension) return 'unknown';
+    const ext = extension[1].toLowerCase();
+    return { jpg: 'jpeg', jpeg: 'jpeg', png: 'png', gif: 'gif', webp: 'webp', avif: 'avif', svg: 'svg', bmp: 'bmp', ico: 'ico', tif: 'tiff', tiff: 'tiff' }[ext] || 'unknown';
+}
+
+export default { analyzeImages };
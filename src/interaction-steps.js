@@ -0,0 +1,110 @@
+// Interaction Steps - Declarative pre-audit actions (click a tab, open a modal, scroll...)
+// Runs per-URL steps so the audited UI is the one behind the interaction
+
+const DEFAULT_STEP_TIMEOUT_MS = 10000;
+const DEFAULT_SETTLE_MS = 500;
+
+const STEP_ACTIONS = {
+    async click(page, step, timeout) {
+        await page.locator(requireSelector(step)).first().click({ timeout });
+    },
+
+    async fill(page, step, timeout) {
+        await page.locator(requireSelector(step)).first().fill(String(step.value ?? ''), { timeout });
+    },
+
+    async hover(page, step, timeout) {
+        await page.locator(requireSelector(step)).first().hover({ timeout });
+    },
+
+    async scroll(page, step, timeout) {
+        if (step.selector) {
+            await page.locator(step.selector).first().scrollIntoViewIfNeeded({ timeout });
+        } else if (step.to === 'bottom') {
+            await page.evaluate(() => window.scrollTo(0, document.documentElement.scrollHeight));
+        } else if (step.to === 'top') {
+            await page.evaluate(() => window.scrollTo(0, 0));
+        } else {
+            // Default: scroll down by one screen
+            await page.evaluate((y) => window.scrollBy(0, y ?? window.innerHeight), step.y);
+        }
+    },
+
+    async waitForSelector(page, step, timeout) {
+        await page.waitForSelector(requireSelector(step), { state: step.state || 'visible', timeout });
+    },
+
+    async press(page, step, timeout) {
+        if (!step.key) {
+            throw new Error('"press" step needs a key, e.g. "Escape" or "Enter"');
+        }
+        if (step.selector) {
+            await page.locator(step.selector).first().press(step.key, { timeout });
+        } else {
+            await page.keyboard.press(step.key);
+        }
+    }
+};
+
+/**
+ * Run a list of interaction steps in order, stopping at the first failure
+ * @param {Page} page - Playwright page
+ * @param {Array} steps - Steps like { action: 'click', selector: '#pricing-tab' }
+ * @param {Object} log - Crawlee logger
+ * @returns {Promise<Array>} Per-step results
+ * @throws {Error} With `failedStep` (the failing step and its error) and `completedSteps`
+ */
+export async function runInteractionSteps(page, steps, log) {
+    const results = [];
+
+    for (const [index, step] of steps.entries()) {
+        const startedAt = Date.now();
+        const description = describeStep(index, step);
+        log.info(`👆 ${description}`);
+
+        try {
+            const action = STEP_ACTIONS[step.action];
+            if (!action) {
+                throw new Error(`Unknown action "${step.action}". Use one of: ${Object.keys(STEP_ACTIONS).join(', ')}`);
+            }
+
+            await action(page, step, step.timeout ?? DEFAULT_STEP_TIMEOUT_MS);
+            await page.waitForTimeout(step.waitAfter ?? DEFAULT_SETTLE_MS);
+
+            results.push({
+                index: index + 1,
+                action: step.action,
+                selector: step.selector || null,
+                status: 'OK',
+                duration_ms: Date.now() - startedAt
+            });
+        } catch (error) {
+            const stepError = new Error(`${description} failed: ${error.message.split('\n')[0]}`);
+            stepError.failedStep = {
+                index: index + 1,
+                action: step.action,
+                selector: step.selector || null,
+                error: error.message.split('\n')[0]
+            };
+            stepError.completedSteps = results;
+            throw stepError;
+        }
+    }
+
+    return results;
+}
+
+function describeStep(index, step) {
+    const target = step.selector ? ` "${step.selector}"` : '';
+    const key = step.key ? ` ${step.key}` : '';
+    return `Interaction step ${index + 1} (${step.action}${target}${key})`;
+}
+
+function requireSelector(step) {
+    if (!step.selector) {
+        throw new Error(`"${step.action}" step needs a selector`);
+    }
+    return step.selector;
+}
+
+export default { runInteractionSteps };
@@ -0,0 +1,208 @@
+// Keyboard Audit - Tabs through the page like a keyboard user would
+// Records focus order, missing focus indicators, focus traps, skip links and unreachable controls
+
+const DEFAULT_MAX_TABS = 100;
+const MAX_FRAME_TABS = 50; // Tabs spent inside one embed (video, map, payment form) before giving up on it
+
+/**
+ * Press Tab through the page and report keyboard accessibility problems
+ * @param {Page} page - Playwright page with DOM helpers installed
+ * @param {Object} options
+ * @param {number} options.maxTabs - Upper bound on Tab presses
+ * @returns {Promise<Object>} Keyboard findings with a 1-10 `keyboard_navigation_score`
+ */
+export async function auditKeyboardNavigation(page, { maxTabs = DEFAULT_MAX_TABS } = {}) {
+    const candidateCount = await page.evaluate(prepareKeyboardAudit);
+
+    const stops = [];
+    const visits = new Map();
+    let trap = null;
+    let completedCycle = false;
+    let frameTabs = 0;
+
+    for (let i = 0; i < Math.min(maxTabs, candidateCount * 2 + 5); i++) {
+        await page.keyboard.press('Tab');
+        const stop = await page.evaluate(inspectFocusedElement);
+
+        // Focus left the document (browser UI) or returned to the start: the cycle is complete
+        if (!stop || (stops.length > 0 && stop.id === stops[0].id)) {
+            completedCycle = true;
+            break;
+        }
+
+        const previous = stops[stops.length - 1];
+        // Inside an iframe the page only sees the <iframe> itself - it is one stop however many controls it holds
+        if (stop.is_frame && previous && previous.id === stop.id) {
+            if (++frameTabs >= MAX_FRAME_TABS) break;
+            i--;
+            continue;
+        }
+        frameTabs = 0;
+
+        if (previous && previous.id === stop.id) {
+            trap = { selectors: [stop.selector], reason: 'Tab does not move focus away from this element' };
+            break;
+        }
+
+        // Revisiting an element other than the first means focus is cycling inside a subset of the page
+        if (visits.has(stop.id)) {
+            const cycle = stops.slice(visits.get(stop.id)).map(s => s.selector);
+            trap = { selectors: cycle, reason: `Focus cycles through ${cycle.length} elements and never reaches the rest of the page` };
+            break;
+        }
+
+        visits.set(stop.id, stops.length);
+        stops.push(stop);
+    }
+
+    const summary = await page.evaluate(finishKeyboardAudit, {
+        visitedIds: stops.map(s => s.id),
+        completedCycle
+    });
+
+    // Focus inside an embed is drawn by the embedded page, not on the <iframe>
+    const missingIndicator = stops.filter(s => !s.focus_visible && !s.is_frame).map(({ selector, text }) => ({ selector, text }));
+    const skipLink = stops.slice(0, 3).find(s => s.skip_link_target !== undefined);
+
+    let score = 10;
+    score -= Math.min(4, Math.ceil(missingIndicator.length / 3));
+    score -= Math.min(3, summary.unreachable.length);
+    if (trap) score -= 3;
+    if (!skipLink && !summary.hasMainLandmark) score -= 1;
+
+    return {
+        keyboard_navigation_score: Math.max(1, score),
+        tab_stops: stops.length,
+        completed_cycle: completedCycle,
+        focus_order: stops.slice(0, 50).map(s => s.selector),
+        missing_focus_indicator: missingIndicator,
+        focus_traps: trap ? [trap] : [],
+        skip_link: {
+            present: Boolean(skipLink),
+            selector: skipLink ? skipLink.selector : null,
+            target_exists: skipLink ? skipLink.skip_link_target : null
+        },
+        has_main_landmark: summary.hasMainLandmark,
+        unreachable_elements: summary.unreachable
+    };
+}
+
+// Browser: reset focus and remember how every interactive element looks unfocused
+function prepareKeyboardAudit() {
+    const selector = [
+        'a[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'summary',
+        '[tabindex]', '[contenteditable="true"]', '[onclick]',
+        '[role="button"]', '[role="link"]', '[role="checkbox"]', '[role="tab"]', '[role="menuitem"]', '[role="switch"]'
+    ].join(', ');
+
+    const styleProps = ['outlineStyle', 'outlineWidth', 'outlineColor', 'boxShadow', 'borderTopColor',
+        'borderBottomColor', 'borderTopWidth', 'backgroundColor', 'color', 'textDecorationLine', 'transform'];
+
+    const state = {
+        nextId: 1,
+        ids: new WeakMap(),
+        baseline: new WeakMap(),
+        candidates: [],
+        styleProps
+    };
+    window.__uxAuditorKeyboard = state;
+
+    if (document.activeElement && document.activeElement !== document.body) {
+        document.activeElement.blur();
+    }
+    window.scrollTo(0, 0);
+
+    document.querySelectorAll(selector).forEach(element => {
+        if (!window.__uxAuditorDom.isVisible(element) || element.disabled || element.closest('[inert]')) return;
+        const style = getComputedStyle(element);
+        state.baseline.set(element, Object.fromEntries(styleProps.map(prop => [prop, style[prop]])));
+        state.candidates.push(element);
+    });
+
+    return state.candidates.length;
+}
+
+// Browser: describe the currently focused element and whether focus is visible on it
+function inspectFocusedElement() {
+    const state = window.__uxAuditorKeyboard;
+    const dom = window.__uxAuditorDom;
+
+    let element = document.activeElement;
+    while (element && element.shadowRoot && element.shadowRoot.activeElement) {
+        element = element.shadowRoot.activeElement;
+    }
+    if (!element || element === document.body || element === document.documentElement) return null;
+
+    if (!state.ids.has(element)) state.ids.set(element, state.nextId++);
+
+    const style = getComputedStyle(element);
+    const baseline = state.baseline.get(element);
+    const hasOutline = style.outlineStyle !== 'none' && parseFloat(style.outlineWidth) > 0;
+    const changed = baseline
+        ? state.styleProps.some(prop => style[prop] !== baseline[prop])
+        : false;
+
+    const stop = {
+        id: state.ids.get(element),
+        selector: dom.cssPath(element),
+        text: dom.textSnippet(element, 40),
+        focus_visible: hasOutline || changed,
+        is_frame: element.tagName === 'IFRAME' || element.tagName === 'FRAME'
+    };
+
+    // Skip links: same-page anchors like "Skip to main content"
+    const href = element.getAttribute('href');
+    if (element.tagName === 'A' && href && href.startsWith('#') && href.length > 1 &&
+        /skip|jump to|main content/i.test(element.textContent)) {
+        // Malformed escapes such as "#%" cannot be decoded - look up the raw id instead
+        let targetId = href.slice(1);
+        try {
+            targetId = decodeURIComponent(targetId);
+        } catch (error) {
+            // Keep the raw id
+        }
+        stop.skip_link_target = Boolean(document.getElementById(targetId));
+    }
+
+    return stop;
+}
+
+// Browser: list controls Tab never reached, then clear focus for the screenshot
+function finishKeyboardAudit({ visitedIds, completedCycle }) {
+    const state = window.__uxAuditorKeyboard;
+    const dom = window.__uxAuditorDom;
+    const visited = new Set(visitedIds);
+    const nativeFocusable = /^(A|BUTTON|INPUT|SELECT|TEXTAREA|SUMMARY)$/;
+    const unreachable = [];
+
+    state.candidates.forEach(element => {
+        if (visited.has(state.ids.get(element))) return;
+
+        const tabindex = element.getAttribute('tabindex');
+        let reason = null;
+        if (tabindex !== null && parseInt(tabindex, 10) < 0) {
+            reason = 'tabindex="-1" removes it from the tab order';
+        } else if (!nativeFocusable.test(element.tagName) && tabindex === null && !element.isContentEditable) {
+            reason = 'Clickable element that is not focusable (needs a native control or tabindex="0")';
+        } else if (completedCycle) {
+            reason = 'Never received focus while tabbing through the page';
+        }
+
+        if (reason && unreachable.length < 50) {
+            unreachable.push({ selector: dom.cssPath(element), text: dom.textSnippet(element, 40), reason });
+        }
+    });
+
+    if (document.activeElement && document.activeElement !== document.body) {
+        document.activeElement.blur();
+    }
+    window.scrollTo(0, 0);
+    delete window.__uxAuditorKeyboard;
+
+    return {
+        unreachable,
+        hasMainLandmark: Boolean(document.querySelector('main, [role="main"]'))
+    };
+}
+
+export default { auditKeyboardNavigation };
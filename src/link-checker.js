@@ -0,0 +1,258 @@
+// Link Checker - Resolves every link on the audited page through the browser context's request API
+// Reports broken links, redirect chains and loops, HTTP links from HTTPS pages and missing #fragments
+
+import { request } from 'playwright';
+
+const MAX_REDIRECTS = 10;
+const REQUEST_TIMEOUT_MS = 10000;
+const PER_HOST_DELAY_MS = 250;
+// Requesting these would end an authenticated audit's session
+const LOGOUT_PATTERN = /log-?out|log-?off|sign-?out|sign-?off|end-?session/i;
+
+// Shared by every page in the run: links repeated in navigation/footers are checked once,
+// and hosts are throttled across concurrent page handlers
+const linkCache = new Map();
+const hostSchedule = new Map();
+
+/**
+ * Check the links on the loaded page
+ * @param {Page} page - Playwright page with DOM helpers installed
+ * @param {Object} options
+ * @param {number} options.maxLinks - Unique URLs to check per page
+ * @param {number} options.concurrency - Parallel requests per page
+ * @param {number} options.timeBudgetMs - Stop starting new checks after this long
+ * @param {string} [options.proxyUrl] - Proxy for the link requests
+ * @param {boolean} options.skipLogoutLinks - Leave logout / sign-out URLs unrequested
+ * @returns {Promise<Object>} Link health report
+ */
+export async function checkPageLinks(page, { maxLinks = 200, concurrency = 5, timeBudgetMs = 45000, proxyUrl, skipLogoutLinks = true } = {}) {
+    const pageUrl = page.url();
+    const links = await page.evaluate(() => {
+        const dom = window.__uxAuditorDom;
+        const here = location.href.split('#')[0];
+
+        // Malformed escapes such as "#%E0" cannot be decoded - match the raw fragment instead
+        const decodeFragment = (hash) => {
+            try {
+                return decodeURIComponent(hash);
+            } catch (error) {
+                return hash;
+            }
+        };
+
+        return [...document.querySelectorAll('a[href]')].map(a => {
+            const fragment = a.hash ? decodeFragment(a.hash.slice(1)) : '';
+            const samePage = a.href.split('#')[0] === here;
+            // "#top" and empty fragments scroll to the top; "#/" and "#!" are client-side routes
+            const checkable = fragment && fragment.toLowerCase() !== 'top' && !/^[/!]/.test(fragment);
+            return {
+                href: a.href,
+                text: dom.textSnippet(a, 40) || a.getAttribute('aria-label') || null,
+                selector: dom.cssPath(a),
+                fragment: checkable ? fragment : null,
+                missing_fragment: Boolean(samePage && checkable &&
+                    !document.getElementById(fragment) && !document.getElementsByName(fragment).length)
+            };
+        });
+    });
+
+    const report = {
+        total_links: links.length,
+        unique_urls: 0,
+        checked: 0,
+        unchecked: 0,
+        skipped_non_http: 0,
+        skipped_logout: 0,
+        broken: [],
+        redirects: [],
+        redirect_loops: [],
+        insecure_links: [],
+        missing_fragments: links.filter(link => link.missing_fragment)
+            .map(({ href, fragment, text, selector }) => ({ url: href, fragment, text, selector }))
+    };
+
+    // One check per URL (without fragment), remembering where it appears and which fragments it needs
+    const pageBase = pageUrl.split('#')[0];
+    const targets = new Map();
+    for (const link of links) {
+        let parsed;
+        try {
+            parsed = new URL(link.href);
+        } catch (error) {
+            report.broken.push({ url: link.href, status: null, error: 'Malformed URL', text: link.text, selector: link.selector });
+            continue;
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            report.skipped_non_http++;
+            continue;
+        }
+        if (pageUrl.startsWith('https:') && parsed.protocol === 'http:') {
+            report.insecure_links.push({ url: link.href, text: link.text, selector: link.selector });
+        }
+
+        parsed.hash = '';
+        const url = parsed.href;
+        if (url === pageBase) continue;
+        if (skipLogoutLinks && LOGOUT_PATTERN.test(parsed.pathname + parsed.search)) {
+            report.skipped_logout++;
+            continue;
+        }
+
+        if (!targets.has(url)) targets.set(url, { url, occurrences: [], fragments: new Set() });
+        const target = targets.get(url);
+        target.occurrences.push(link);
+        if (link.fragment) target.fragments.add(link.fragment);
+    }
+
+    report.unique_urls = targets.size;
+    const queue = [...targets.values()].slice(0, maxLinks);
+    report.unchecked = targets.size - queue.length;
+
+    // A copy of the page's cookies: link requests neither end nor alter the audited session
+    const apiRequest = await request.newContext({
+        storageState: await page.context().storageState(),
+        userAgent: await page.evaluate(() => navigator.userAgent),
+        ...(proxyUrl ? { proxy: toPlaywrightProxy(proxyUrl) } : {})
+    });
+    const deadline = Date.now() + timeBudgetMs;
+    const worker = async () => {
+        while (queue.length > 0) {
+            const target = queue.shift();
+            if (Date.now() > deadline) {
+                report.unchecked++;
+                continue;
+            }
+            const result = await resolveCached(apiRequest, target.url, target.fragments.size > 0);
+            report.checked++;
+            recordResult(report, target, result);
+        }
+    };
+    try {
+        await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+    } finally {
+        await apiRequest.dispose();
+    }
+
+    return report;
+}
+
+function recordResult(report, target, result) {
+    const first = target.occurrences[0];
+    const where = { text: first.text, selector: first.selector, occurrences: target.occurrences.length };
+
+    if (result.loop) {
+        report.redirect_loops.push({ url: target.url, chain: result.chain, ...where });
+        return;
+    }
+    if (result.error || result.status >= 400) {
+        report.broken.push({ url: target.url, status: result.status, error: result.error || null, final_url: result.final_url, ...where });
+        return;
+    }
+    if (result.chain.length > 0) {
+        report.redirects.push({ url: target.url, final_url: result.final_url, hops: result.chain.length, chain: result.chain, ...where });
+    }
+    if (result.ids) {
+        target.fragments.forEach(fragment => {
+            if (!result.ids.has(fragment)) {
+                const link = target.occurrences.find(occurrence => occurrence.fragment === fragment) || first;
+                report.missing_fragments.push({ url: `${target.url}#${fragment}`, fragment, text: link.text, selector: link.selector });
+            }
+        });
+    }
+}
+
+function resolveCached(apiRequest, url, needsIds) {
+    const key = needsIds ? `${url} ids` : url;
+    if (!linkCache.has(key)) {
+        linkCache.set(key, resolveLink(apiRequest, url, needsIds)
+            .catch(error => ({ status: null, final_url: url, chain: [], error: error.message.split('\n')[0], retry: true }))
+            .then(({ retry, ...result }) => {
+                // A page closing mid-check says nothing about the link - let the next page retry it
+                if (retry || (result.error && /closed|disposed/i.test(result.error))) linkCache.delete(key);
+                return result;
+            }));
+    }
+    return linkCache.get(key);
+}
+
+// Follow redirects one hop at a time so chains and loops are visible
+async function resolveLink(apiRequest, url, needsIds) {
+    const chain = [];
+    const visited = new Set();
+    let current = url;
+    // HEAD avoids downloading files; GET is needed to look for fragment targets
+    let method = needsIds ? 'get' : 'head';
+
+    while (chain.length <= MAX_REDIRECTS) {
+        if (visited.has(current)) {
+            return { status: null, final_url: current, chain, loop: true };
+        }
+        visited.add(current);
+        await throttleHost(current);
+
+        let response;
+        try {
+            response = await apiRequest[method](current, {
+                maxRedirects: 0,
+                timeout: REQUEST_TIMEOUT_MS,
+                failOnStatusCode: false
+            });
+        } catch (error) {
+            return { status: null, final_url: current, chain, error: error.message.split('\n')[0] };
+        }
+
+        const status = response.status();
+        const headers = response.headers();
+
+        // Some servers reject HEAD - retry the same hop with GET
+        if (method === 'head' && [403, 405, 501].includes(status)) {
+            await response.dispose();
+            visited.delete(current);
+            method = 'get';
+            continue;
+        }
+
+        if (status >= 300 && status < 400 && headers.location) {
+            chain.push({ url: current, status });
+            await response.dispose();
+            try {
+                current = new URL(headers.location, current).href;
+            } catch (error) {
+                return { status, final_url: current, chain, error: `Invalid redirect location "${headers.location}"` };
+            }
+            continue;
+        }
+
+        let ids = null;
+        if (needsIds && status < 300 && /html/i.test(headers['content-type'] || '')) {
+            const html = await response.text().catch(() => '');
+            ids = new Set([...html.matchAll(/\s(?:id|name)\s*=\s*["']?([^"'\s>]+)/gi)].map(match => match[1]));
+        }
+        await response.dispose();
+        return { status, final_url: current, chain, ids };
+    }
+
+    return { status: null, final_url: current, chain, error: `More than ${MAX_REDIRECTS} redirects` };
+}
+
+// Space out request starts to the same host
+async function throttleHost(url) {
+    const host = new URL(url).host;
+    const now = Date.now();
+    const next = Math.max(now, hostSchedule.get(host) || 0);
+    hostSchedule.set(host, next + PER_HOST_DELAY_MS);
+    if (next > now) {
+        await new Promise(resolve => setTimeout(resolve, next - now));
+    }
+}
+
+function toPlaywrightProxy(proxyUrl) {
+    const { protocol, host, username, password } = new URL(proxyUrl);
+    return {
+        server: `${protocol}//${host}`,
+        username: decodeURIComponent(username),
+        password: decodeURIComponent(password)
+    };
+}
+
+export default { checkPageLinks };
@@ -5,6 +5,31 @@ import { PlaywrightCrawler } from 'crawlee';
 import OpenAI from 'openai';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { generateDashboard } from './dashboard-generator.js';
+import { loadSitemapUrls } from './sitemap-loader.js';
+import { prepareSessionState, applySessionState, isAuthenticated } from './session-state.js';
+import { runInteractionSteps } from './interaction-steps.js';
+import { resolveViewports, applyViewport } from './viewports.js';
+import { captureScreenshotTiles, mergeTileAnalyses } from './screenshot-tiles.js';
+import { handleConsent } from './consent-handler.js';
+import { installVitalsCollector, collectWebVitals, collectScriptAttribution, scoreWebVitals } from './web-vitals.js';
+import { attachNetworkRecorder, getNetworkRecorder, summarizeNetwork } from './network-recorder.js';
+import { attachReliabilityMonitor, getReliabilityMonitor, summarizeReliability } from './reliability-monitor.js';
+import { installDomHelpers } from './dom-helpers.js';
+import { checkColorContrast } from './contrast-checker.js';
+import { auditKeyboardNavigation } from './keyboard-audit.js';
+import { analyzeDocumentOutline } from './document-outline.js';
+import { analyzeForms, formViolations } from './form-analyzer.js';
+import { analyzeTouchTargets, annotateTouchTargets } from './touch-targets.js';
+import { analyzeTechnicalSeo } from './technical-seo.js';
+import { checkPageLinks } from './link-checker.js';
+import { analyzeReadability, readingEaseToScore } from './readability.js';
+import { analyzeTypography } from './typography-analyzer.js';
+import { extractColorPalette, normalizeHexColors } from './color-palette.js';
+import { analyzeImages } from './image-analyzer.js';
+import { analyzeThirdParties } from './third-party-impact.js';
+import { loadFingerprints, detectTechnologies } from './technology-detector.js';
+import { analyzeSecurity } from './security-analyzer.js';
+import { runPrivacyAudit, closePrivacyBrowser } from './privacy-audit.js';
 
 // AI UX Auditor - Users provide their own API keys
 
@@ -120,217 +145,15 @@ function initializeAIProvider(apiKey) {
     }
 }
 
-// Technology detection function
-async function detectTechnologies(page) {
-    const technologies = {
-        frontend_framework: null,
-        css_framework: null,
-        javascript_libraries: [],
-        analytics: [],
-        hosting_provider: null,
-        cdn: null,
-        cms: null,
-        ecommerce: null,
-        payment_processors: [],
-        chat_widgets: [],
-        marketing_tools: [],
-        security: [],
-        performance: [],
-        fonts: [],
-        icons: [],
-        meta_generator: null,
-        server_info: null
-    };
-
-    try {
-        // Detect technologies by analyzing page content
-        const techData = await page.evaluate(() => {
-            const detectedTech = {
-                scripts: [],
-                stylesheets: [],
-                metaTags: {},
-                globalObjects: [],
-                comments: []
-            };
-
-            // Get all script sources
-            const scripts = document.querySelectorAll('script[src]');
-            scripts.forEach(script => {
-                if (script.src) detectedTech.scripts.push(script.src);
-            });
-
-            // Get all stylesheet sources
-            const stylesheets = document.querySelectorAll('link[rel="stylesheet"]');
-            stylesheets.forEach(link => {
-                if (link.href) detectedTech.stylesheets.push(link.href);
-            });
-
-            // Get meta tags
-            const metaTags = document.querySelectorAll('meta');
-            metaTags.forEach(meta => {
-                const name = meta.getAttribute('name') || meta.getAttribute('property');
-                const content = meta.getAttribute('content');
-                if (name && content) {
-                    detectedTech.metaTags[name] = content;
-                }
-            });
-
-            // Check for global JavaScript objects
-            const globalChecks = [
-                'React', 'Vue', 'Angular', 'jQuery', '$', 'Shopify', 'WordPress',
-                'gtag', 'ga', 'fbq', 'Intercom', 'Zendesk', 'Stripe', 'PayPal'
-            ];
-
-            globalChecks.forEach(obj => {
-                if (window[obj]) {
-                    detectedTech.globalObjects.push(obj);
-                }
-            });
-
-            // Get HTML comments (often contain generator info)
-            const walker = document.createTreeWalker(
-                document.documentElement,
-                NodeFilter.SHOW_COMMENT
-            );
-            let comment;
-            while (comment = walker.nextNode()) {
-                detectedTech.comments.push(comment.textContent.trim());
-            }
-
-            return detectedTech;
-        });
-
-        // Analyze the collected data to identify technologies
-
-        // Frontend Frameworks
-        if (techData.globalObjects.includes('React') ||
-            techData.scripts.some(src => src.includes('react'))) {
-            technologies.frontend_framework = 'React';
-        } else if (techData.globalObjects.includes('Vue') ||
-            techData.scripts.some(src => src.includes('vue'))) {
-            technologies.frontend_framework = 'Vue.js';
-        } else if (techData.globalObjects.includes('Angular') ||
-            techData.scripts.some(src => src.includes('angular'))) {
-            technologies.frontend_framework = 'Angular';
-        }
-
-        // CSS Frameworks
-        if (techData.stylesheets.some(href => href.includes('bootstrap'))) {
-            technologies.css_framework = 'Bootstrap';
-        } else if (techData.stylesheets.some(href => href.includes('tailwind'))) {
-            technologies.css_framework = 'Tailwind CSS';
-        } else if (techData.stylesheets.some(href => href.includes('bulma'))) {
-            technologies.css_framework = 'Bulma';
-        }
-
-        // JavaScript Libraries
-        if (techData.globalObjects.includes('jQuery') || techData.globalObjects.includes('$')) {
-            technologies.javascript_libraries.push('jQuery');
-        }
-        if (techData.scripts.some(src => src.includes('lodash'))) {
-            technologies.javascript_libraries.push('Lodash');
-        }
-        if (techData.scripts.some(src => src.includes('axios'))) {
-            technologies.javascript_libraries.push('Axios');
-        }
-
-        // Analytics
-        if (techData.globalObjects.includes('gtag') || techData.globalObjects.includes('ga') ||
-            techData.scripts.some(src => src.includes('googletagmanager'))) {
-            technologies.analytics.push('Google Analytics');
-        }
-        if (techData.globalObjects.includes('fbq') ||
-            techData.scripts.some(src => src.includes('facebook.net'))) {
-            technologies.analytics.push('Facebook Pixel');
-        }
-
-        // CMS Detection
-        if (techData.metaTags.generator) {
-            const generator = techData.metaTags.generator.toLowerCase();
-            if (generator.includes('wordpress')) {
-                technologies.cms = 'WordPress';
-            } else if (generator.includes('drupal')) {
-                technologies.cms = 'Drupal';
-            } else if (generator.includes('joomla')) {
-                technologies.cms = 'Joomla';
-            }
-            technologies.meta_generator = techData.metaTags.generator;
-        }
-
-        // E-commerce
-        if (techData.globalObjects.includes('Shopify') ||
-            techData.scripts.some(src => src.includes('shopify'))) {
-            technologies.ecommerce = 'Shopify';
-        } else if (techData.scripts.some(src => src.includes('woocommerce'))) {
-            technologies.ecommerce = 'WooCommerce';
-        }
-
-        // Payment Processors
-        if (techData.globalObjects.includes('Stripe') ||
-            techData.scripts.some(src => src.includes('stripe'))) {
-            technologies.payment_processors.push('Stripe');
-        }
-        if (techData.globalObjects.includes('PayPal') ||
-            techData.scripts.some(src => src.includes('paypal'))) {
-            technologies.payment_processors.push('PayPal');
-        }
-
-        // Chat Widgets
-        if (techData.globalObjects.includes('Intercom') ||
-            techData.scripts.some(src => src.includes('intercom'))) {
-            technologies.chat_widgets.push('Intercom');
-        }
-        if (techData.globalObjects.includes('Zendesk') ||
-            techData.scripts.some(src => src.includes('zendesk'))) {
-            technologies.chat_widgets.push('Zendesk');
-        }
-
-        // Fonts
-        if (techData.stylesheets.some(href => href.includes('fonts.googleapis.com'))) {
-            technologies.fonts.push('Google Fonts');
-        }
-        if (techData.stylesheets.some(href => href.includes('typekit') || href.includes('adobe'))) {
-            technologies.fonts.push('Adobe Fonts');
-        }
-
-        // Icons
-        if (techData.stylesheets.some(href => href.includes('font-awesome'))) {
-            technologies.icons.push('Font Awesome');
-        }
-        if (techData.stylesheets.some(href => href.includes('heroicons'))) {
-            technologies.icons.push('Heroicons');
-        }
-
-        // CDN Detection
-        if (techData.scripts.some(src => src.includes('cloudflare')) ||
-            techData.stylesheets.some(href => href.includes('cloudflare'))) {
-            technologies.cdn = 'Cloudflare';
-        } else if (techData.scripts.some(src => src.includes('jsdelivr'))) {
-            technologies.cdn = 'jsDelivr';
-        }
-
-        // Security
-        if (window.location.protocol === 'https:') {
-            technologies.security.push('SSL Certificate');
-        }
-
-        // Performance
-        if ('serviceWorker' in navigator) {
-            technologies.performance.push('Service Worker');
-        }
-
-    } catch (error) {
-        console.log(`⚠️ Technology detection failed: ${error.message}`);
-    }
-
-    return technologies;
-}
-
-// Performance analysis function
-async function analyzePerformance(page) {
+// Performance analysis function (vitals are collected right after load, before any interaction)
+async function analyzePerformance(page, vitals, network, images = null) {
     const performance = {
         page_load_time: 0,
         page_size_mb: 0,
+        core_web_vitals: null,
+        vitals_ratings: {},
+        network: null,
+        image_optimization: null,
         image_count: 0,
         external_links_count: 0,
         internal_links_count: 0,
@@ -367,14 +190,41 @@ async function analyzePerformance(page) {
             return data;
         });
 
-        Object.assign(performance, perfData);
+        performance.image_count = perfData.imageCount;
+        performance.external_links_count = perfData.externalLinks;
+        performance.internal_links_count = perfData.internalLinks;
+        performance.form_count = perfData.formCount;
+        performance.button_count = perfData.buttonCount;
+        performance.script_count = perfData.scriptCount;
+        performance.stylesheet_count = perfData.stylesheetCount;
+
+        // Page weight from the recorded network responses
+        if (network) {
+            performance.network = network;
+            performance.page_size_mb = Math.round(network.transferred_bytes / (1024 * 1024) * 100) / 100;
+        }
 
-        // Calculate performance score based on metrics
-        let score = 10;
-        if (performance.image_count > 50) score -= 2;
-        if (performance.script_count > 20) score -= 1;
-        if (performance.stylesheet_count > 10) score -= 1;
-        performance.performance_score = Math.max(1, score);
+        if (images) {
+            performance.image_optimization = images;
+        }
+
+        // Score from real metrics against the published Core Web Vitals thresholds
+        if (vitals) {
+            const { score, ratings } = scoreWebVitals(vitals);
+            performance.core_web_vitals = vitals;
+            performance.vitals_ratings = ratings;
+            performance.page_load_time = vitals.load_ms ?? vitals.dom_content_loaded_ms ?? 0;
+            performance.performance_score = score;
+        }
+
+        // Fall back to resource counts when the browser reported no timing data
+        if (!performance.performance_score) {
+            let score = 10;
+            if (images ? images.estimated_savings_bytes > 500 * 1024 : performance.image_count > 50) score -= 2;
+            if (performance.script_count > 20) score -= 1;
+            if (performance.stylesheet_count > 10) score -= 1;
+            performance.performance_score = Math.max(1, score);
+        }
 
     } catch (error) {
         console.log(`⚠️ Performance analysis failed: ${error.message}`);
@@ -384,7 +234,7 @@ async function analyzePerformance(page) {
 }
 
 // Accessibility analysis function
-async function analyzeAccessibility(page) {
+async function analyzeAccessibility(page, { contrastLevel = 'AA', forms = null, typography = null } = {}) {
     const accessibility = {
         accessibility_score: 0,
         wcag_violations: [],
@@ -402,8 +252,6 @@ async function analyzeAccessibility(page) {
         const a11yData = await page.evaluate(() => {
             const data = {
                 imagesWithoutAlt: 0,
-                headingStructure: [],
-                formsWithoutLabels: 0,
                 focusableElements: 0,
                 ariaLabels: 0
             };
@@ -416,22 +264,6 @@ async function analyzeAccessibility(page) {
                 }
             });
 
-            // Check heading structure
-            const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
-            headings.forEach(heading => {
-                data.headingStructure.push(heading.tagName);
-            });
-
-            // Check forms without labels
-            const inputs = document.querySelectorAll('input, textarea, select');
-            inputs.forEach(input => {
-                const label = document.querySelector(`label[for="${input.id}"]`);
-                const ariaLabel = input.getAttribute('aria-label');
-                if (!label && !ariaLabel) {
-                    data.formsWithoutLabels++;
-                }
-            });
-
             // Count focusable elements
             data.focusableElements = document.querySelectorAll('a, button, input, textarea, select, [tabindex]').length;
 
@@ -441,23 +273,67 @@ async function analyzeAccessibility(page) {
             return data;
         });
 
+        // Contrast measured from computed colors rather than guessed from the screenshot
+        const contrast = await checkColorContrast(page, { level: contrastLevel });
+        const outline = await analyzeDocumentOutline(page);
+
+        // Keyboard audit moves focus, so it runs after the style-based checks
+        let keyboard = null;
+        try {
+            keyboard = await auditKeyboardNavigation(page);
+        } catch (error) {
+            console.log(`⚠️ Keyboard navigation audit failed: ${error.message}`);
+        }
+
         accessibility.alt_text_missing = a11yData.imagesWithoutAlt;
-        accessibility.form_labels_score = Math.max(1, 10 - a11yData.formsWithoutLabels);
-        accessibility.heading_structure_score = a11yData.headingStructure.length > 0 ? 8 : 3;
+        accessibility.form_labels_score = forms ? forms.form_labels_score : 0;
+        if (typography) accessibility.font_size_compliance = typography.small_text_count === 0;
+        accessibility.heading_structure_score = outline.heading_structure_score;
+        accessibility.document_outline = outline;
+        accessibility.contrast_issues = contrast.failing_count;
+        accessibility.contrast_level = contrastLevel;
+        accessibility.contrast_elements_checked = contrast.checked;
+        accessibility.contrast_indeterminate = contrast.indeterminate;
+        if (keyboard) {
+            accessibility.keyboard_navigation_score = keyboard.keyboard_navigation_score;
+            accessibility.keyboard_navigation = keyboard;
+        }
 
         // Calculate overall accessibility score
         let score = 10;
         if (a11yData.imagesWithoutAlt > 0) score -= 2;
-        if (a11yData.formsWithoutLabels > 0) score -= 2;
-        if (a11yData.headingStructure.length === 0) score -= 1;
+        if (forms && forms.unlabeled_fields > 0) score -= 2;
+        else if (forms && forms.form_labels_score < 10) score -= 1;
+        if (outline.heading_structure_score < 7) score -= 1;
+        if (outline.aria_issues > 0 || outline.unnamed_controls > 0) score -= 1;
+        if (contrast.failing_count > 0) score -= contrast.failing_count > 5 ? 2 : 1;
+        if (keyboard && keyboard.keyboard_navigation_score < 7) score -= keyboard.keyboard_navigation_score < 4 ? 2 : 1;
         accessibility.accessibility_score = Math.max(1, score);
 
         // Add violations based on findings
         if (a11yData.imagesWithoutAlt > 0) {
-            accessibility.wcag_violations.push('missing-alt-text');
+            accessibility.wcag_violations.push({ rule: 'missing-alt-text', wcag: '1.1.1', count: a11yData.imagesWithoutAlt });
+        }
+        if (forms) {
+            accessibility.wcag_violations.push(...formViolations(forms));
         }
-        if (a11yData.formsWithoutLabels > 0) {
-            accessibility.wcag_violations.push('unlabeled-form-controls');
+        accessibility.wcag_violations.push(...contrast.failures);
+        accessibility.wcag_violations.push(...outline.violations);
+        if (keyboard) {
+            keyboard.focus_traps.forEach(trap => {
+                accessibility.wcag_violations.push({ rule: 'keyboard-trap', wcag: '2.1.2', selector: trap.selectors[0], selectors: trap.selectors, message: trap.reason });
+            });
+            keyboard.unreachable_elements.forEach(element => {
+                accessibility.wcag_violations.push({ rule: 'keyboard-inaccessible', wcag: '2.1.1', selector: element.selector, text: element.text, message: element.reason });
+            });
+            keyboard.missing_focus_indicator.forEach(element => {
+                accessibility.wcag_violations.push({ rule: 'focus-not-visible', wcag: '2.4.7', selector: element.selector, text: element.text });
+            });
+            if (!keyboard.skip_link.present && !keyboard.has_main_landmark) {
+                accessibility.wcag_violations.push({ rule: 'bypass-blocks', wcag: '2.4.1', count: 1, message: 'No skip link and no <main> landmark to jump past repeated content' });
+            } else if (keyboard.skip_link.present && !keyboard.skip_link.target_exists) {
+                accessibility.wcag_violations.push({ rule: 'broken-skip-link', wcag: '2.4.1', selector: keyboard.skip_link.selector, message: 'Skip link points to an id that does not exist' });
+            }
         }
 
     } catch (error) {
@@ -468,7 +344,7 @@ async function analyzeAccessibility(page) {
 }
 
 // Mobile responsiveness analysis
-async function analyzeMobileResponsiveness(page) {
+async function analyzeMobileResponsiveness(page, viewport) {
     const mobile = {
         mobile_score: 0,
         responsive_breakpoints: [],
@@ -482,19 +358,9 @@ async function analyzeMobileResponsiveness(page) {
         const mobileData = await page.evaluate(() => {
             const data = {
                 viewportMeta: !!document.querySelector('meta[name="viewport"]'),
-                smallButtons: 0,
                 navigationStyle: null
             };
 
-            // Check for small touch targets
-            const buttons = document.querySelectorAll('button, a, input[type="button"], input[type="submit"]');
-            buttons.forEach(btn => {
-                const rect = btn.getBoundingClientRect();
-                if (rect.width < 44 || rect.height < 44) {
-                    data.smallButtons++;
-                }
-            });
-
             // Detect navigation style
             const hamburger = document.querySelector('.hamburger, .menu-toggle, [class*="mobile-menu"]');
             const drawer = document.querySelector('.drawer, .sidebar, [class*="nav-drawer"]');
@@ -507,18 +373,26 @@ async function analyzeMobileResponsiveness(page) {
             return data;
         });
 
+        // Target sizes only mean something in a touch layout - desktop viewports leave them unmeasured
+        const touchTargets = viewport?.isMobile ? await analyzeTouchTargets(page) : null;
+
         mobile.viewport_meta_present = mobileData.viewportMeta;
         mobile.mobile_navigation_type = mobileData.navigationStyle;
-        mobile.touch_target_compliance = Math.max(1, 10 - mobileData.smallButtons);
+        mobile.touch_target_compliance = touchTargets ? touchTargets.compliance_score : null;
+        mobile.touch_targets = touchTargets;
 
         // Calculate mobile score
         let score = 10;
         if (!mobileData.viewportMeta) score -= 3;
-        if (mobileData.smallButtons > 5) score -= 2;
+        if (touchTargets && touchTargets.aa_failures > 5) score -= 2;
+        else if (touchTargets && touchTargets.aa_failures > 0) score -= 1;
         mobile.mobile_score = Math.max(1, score);
 
-        if (mobileData.smallButtons > 0) {
-            mobile.mobile_specific_issues.push(`${mobileData.smallButtons} touch targets smaller than 44px`);
+        if (touchTargets && touchTargets.aa_failures > 0) {
+            mobile.mobile_specific_issues.push(`${touchTargets.aa_failures} touch targets fail WCAG 2.5.8 (under 24px without spacing, or overlapping)`);
+        }
+        if (touchTargets && touchTargets.aaa_failures > 0) {
+            mobile.mobile_specific_issues.push(`${touchTargets.aaa_failures} touch targets smaller than 44px (WCAG 2.5.5)`);
         }
 
     } catch (error) {
@@ -529,7 +403,7 @@ async function analyzeMobileResponsiveness(page) {
 }
 
 // SEO analysis function
-async function analyzeSEO(page) {
+async function analyzeSEO(page, { response = null } = {}) {
     const seo = {
         seo_score: 0,
         meta_title: null,
@@ -566,9 +440,16 @@ async function analyzeSEO(page) {
         seo.image_alt_optimization = seoData.totalImages > 0 ?
             Math.round((seoData.imagesWithAlt / seoData.totalImages) * 100) : 100;
 
-        // Check for missing meta tags
-        if (!seoData.title) seo.missing_meta_tags.push('title');
-        if (!seoData.description) seo.missing_meta_tags.push('meta-description');
+        // Canonical, robots, hreflang, social cards, lengths and JSON-LD validation
+        const technical = await analyzeTechnicalSeo(page, { response });
+        seo.missing_meta_tags = technical.missing_meta_tags;
+        seo.technical_seo = technical;
+        seo.indexable = technical.robots.indexable;
+        seo.canonical_url = technical.canonical.url;
+        seo.structured_data_types = technical.structured_data.types;
+        seo.seo_issues = technical.issues;
+
+        const hasIssue = (...rules) => technical.issues.some(issue => rules.includes(issue.rule));
 
         // Calculate SEO score
         let score = 10;
@@ -576,6 +457,11 @@ async function analyzeSEO(page) {
         if (!seoData.description) score -= 2;
         if (seoData.h1Tags.length === 0) score -= 2;
         if (seo.image_alt_optimization < 80) score -= 1;
+        if (!technical.robots.indexable) score -= 3;
+        if (!technical.canonical.url || hasIssue('multiple-canonicals', 'invalid-canonical', 'cross-domain-canonical')) score -= 1;
+        if (hasIssue('title-too-short', 'title-too-long', 'description-too-short', 'description-too-long')) score -= 1;
+        if (!technical.open_graph.complete || !technical.twitter_card.complete) score -= 1;
+        if (!technical.structured_data.valid || hasIssue('hreflang-invalid-code', 'hreflang-conflict', 'hreflang-no-self-reference')) score -= 1;
         seo.seo_score = Math.max(1, score);
 
     } catch (error) {
@@ -601,8 +487,6 @@ async function analyzeContent(page) {
     try {
         const contentData = await page.evaluate(() => {
             const data = {
-                textContent: document.body.textContent || '',
-                paragraphs: document.querySelectorAll('p').length,
                 headings: document.querySelectorAll('h1, h2, h3, h4, h5, h6').length,
                 ctaButtons: 0,
                 socialProof: []
@@ -635,15 +519,17 @@ async function analyzeContent(page) {
             return data;
         });
 
-        const words = contentData.textContent.split(/\s+/).filter(word => word.length > 0);
-        content.word_count = words.length;
-        content.paragraph_count = contentData.paragraphs;
+        // Visible text only - script, style and hidden elements are left out
+        const text = await analyzeReadability(page);
+        content.word_count = text.word_count;
+        content.paragraph_count = text.paragraph_count;
+        content.readability = text.readability;
         content.heading_count = contentData.headings;
         content.call_to_action_count = contentData.ctaButtons;
         content.social_proof_elements = contentData.socialProof;
 
         // Calculate content scores
-        content.readability_score = Math.min(10, Math.max(1, Math.round(content.word_count / 100)));
+        content.readability_score = readingEaseToScore(text.readability.reading_ease);
         content.content_structure_score = Math.min(10, content.heading_count + content.paragraph_count);
 
         let score = 5;
@@ -651,7 +537,9 @@ async function analyzeContent(page) {
         if (content.heading_count > 3) score += 1;
         if (content.call_to_action_count > 0) score += 1;
         if (content.social_proof_elements.length > 0) score += 1;
-        content.content_score = Math.min(10, score);
+        if (content.readability_score > 0 && content.readability_score < 5) score -= 1;
+        if (text.readability.lang_mismatch) score -= 1;
+        content.content_score = Math.max(1, Math.min(10, score));
 
     } catch (error) {
         console.log(`⚠️ Content analysis failed: ${error.message}`);
@@ -661,7 +549,7 @@ async function analyzeContent(page) {
 }
 
 // Conversion optimization analysis
-async function analyzeConversion(page) {
+async function analyzeConversion(page, forms = null, security = null) {
     const conversion = {
         conversion_score: 0,
         cta_visibility_score: 0,
@@ -684,9 +572,6 @@ async function analyzeConversion(page) {
             };
 
             // Detect trust signals
-            if (document.querySelector('[class*="ssl"], [class*="secure"]')) {
-                data.trustSignals.push('ssl-certificate');
-            }
             if (document.querySelector('[class*="testimonial"]')) {
                 data.trustSignals.push('testimonials');
             }
@@ -709,11 +594,7 @@ async function analyzeConversion(page) {
                 data.urgencyElements.push('time-sensitive');
             }
 
-            // Detect friction points
-            const requiredFields = document.querySelectorAll('input[required]').length;
-            if (requiredFields > 5) {
-                data.frictionPoints.push('too-many-required-fields');
-            }
+            // Detect friction points (form ergonomics come from the form analyzer)
             if (document.querySelector('input[type="password"]') && !document.querySelector('[class*="signup"], [class*="register"]')) {
                 data.frictionPoints.push('login-required');
             }
@@ -721,14 +602,21 @@ async function analyzeConversion(page) {
             return data;
         });
 
+        // A secure connection only counts when the browser would show it as fully secure
+        if (security && security.https && security.mixed_content.active.length === 0 && security.insecure_forms.length === 0) {
+            conversionData.trustSignals.unshift('ssl-certificate');
+        }
+
         conversion.trust_signals = conversionData.trustSignals;
         conversion.urgency_elements = conversionData.urgencyElements;
+        if (forms) {
+            conversionData.frictionPoints.push(...new Set(forms.friction.map(f => f.type)));
+        }
         conversion.friction_points = conversionData.frictionPoints;
 
         conversion.cta_visibility_score = Math.min(10, conversionData.ctaButtons * 2);
         conversion.social_proof_score = Math.min(10, conversionData.trustSignals.length * 2);
-        conversion.form_optimization_score = conversionData.forms > 0 ?
-            Math.max(1, 10 - conversionData.frictionPoints.length * 2) : 10;
+        conversion.form_optimization_score = forms ? forms.form_optimization_score : 10;
 
         // Calculate overall conversion score
         let score = 5;
@@ -746,7 +634,7 @@ async function analyzeConversion(page) {
 }
 
 // Call OpenAI/OpenRouter API with retry logic
-async function analyzeWithOpenAI(client, screenshotBase64, analysisType, url, model = 'gpt-4o') {
+async function analyzeWithOpenAI(client, screenshotBase64, analysisType, url, model = 'gpt-4o', sectionNote = '') {
     const prompt = ANALYSIS_PROMPTS[analysisType] || ANALYSIS_PROMPTS.general;
 
     const maxRetries = 3;
@@ -778,7 +666,7 @@ Output a strict JSON object with this exact structure:
                         content: [
                             {
                                 type: 'text',
-                                text: `Analyze this ${analysisType} audit for: ${url}`
+                                text: `Analyze this ${analysisType} audit for: ${url}${sectionNote}`
                             },
                             {
                                 type: 'image_url',
@@ -817,12 +705,12 @@ Output a strict JSON object with this exact structure:
 // Removed demo analysis - users must provide API keys
 
 // Call Google Gemini Vision API (Native) - Simplified
-async function analyzeWithGemini(client, screenshotBase64, analysisType, url) {
+async function analyzeWithGemini(client, screenshotBase64, analysisType, url, sectionNote = '') {
     const prompt = ANALYSIS_PROMPTS[analysisType] || ANALYSIS_PROMPTS.general;
 
     const fullPrompt = `${prompt}
 
-Analyze this ${analysisType} audit for: ${url}
+Analyze this ${analysisType} audit for: ${url}${sectionNote}
 
 Output a strict JSON object with this exact structure:
 {
@@ -853,6 +741,34 @@ Output a strict JSON object with this exact structure:
     return JSON.parse(text);
 }
 
+// Send one screenshot to the configured AI provider
+async function analyzeScreenshot(aiProvider, screenshotBase64, analysisType, url, sectionNote = '') {
+    if (aiProvider.type === 'openai' || aiProvider.type === 'openrouter') {
+        return analyzeWithOpenAI(
+            aiProvider.client,
+            screenshotBase64,
+            analysisType,
+            url,
+            aiProvider.model,
+            sectionNote
+        );
+    } else if (aiProvider.type === 'gemini') {
+        return analyzeWithGemini(
+            aiProvider.client,
+            screenshotBase64,
+            analysisType,
+            url,
+            sectionNote
+        );
+    }
+    throw new Error(`Unsupported AI provider: ${aiProvider.type}`);
+}
+
+// Each URL is audited once per viewport, so the viewport is part of the request identity
+function viewportUniqueKey(url, viewport) {
+    return `${url}#viewport=${viewport.name}`;
+}
+
 // Main actor entry point
 await Actor.main(async () => {
     console.log('🚀 AI UI/UX Design Auditor - Starting...');
@@ -870,13 +786,36 @@ await Actor.main(async () => {
         apiKey,
         analysisType = 'general',
         viewPort = 'desktop',
+        viewports: viewportsInput = [],
         proxyConfiguration,
-        maxConcurrency = 5
+        maxConcurrency = 5,
+        crawlMode = false,
+        maxPages = 20,
+        maxDepth = 2,
+        includeGlobs = [],
+        excludeGlobs = [],
+        sitemapUrls = [],
+        sitemapSampleSize = 0,
+        respectRobotsTxt = true,
+        authenticatedSelector,
+        captureMode = 'viewport',
+        captureSections = 3,
+        maxTiles = 6,
+        annotateTouchTargets: annotateTargets = false,
+        checkLinks = false,
+        maxLinksPerPage = 200,
+        linkCheckConcurrency = 5,
+        customFingerprints = {},
+        privacyAudit = false,
+        consentAction = 'accept',
+        consentAcceptSelectors = [],
+        consentRejectSelectors = [],
+        contrastLevel = 'AA'
     } = input;
 
     // Validate inputs
-    if (!startUrls || startUrls.length === 0) {
-        throw new Error('No URLs provided. Please add at least one URL to analyze.');
+    if ((!startUrls || startUrls.length === 0) && sitemapUrls.length === 0) {
+        throw new Error('No URLs provided. Please add at least one URL or sitemap to analyze.');
     }
 
     if (!apiKey) {
@@ -891,20 +830,46 @@ await Actor.main(async () => {
         throw new Error(`Failed to initialize AI provider: ${error.message}`);
     }
 
-    // Configure viewport dimensions
-    const viewportConfig = viewPort === 'mobile'
-        ? { width: 390, height: 844 }
-        : { width: 1920, height: 1080 };
+    // Configure viewport matrix (legacy single viewPort when no viewports are given)
+    const viewports = resolveViewports(viewportsInput, viewPort);
+    const primaryViewport = viewports[0];
 
-    console.log(`📱 Viewport: ${viewPort} (${viewportConfig.width}x${viewportConfig.height})`);
+    console.log(`📱 Viewports: ${viewports.map(v => `${v.name} (${v.width}x${v.height})`).join(', ')}`);
     console.log(`🎯 Analysis Type: ${analysisType}`);
     console.log(`🤖 AI Provider: ${aiProvider.type.toUpperCase()}`);
     console.log(`🔑 Using your API key for unlimited analysis`);
+    if (crawlMode) {
+        console.log(`🕸️ Crawl mode: up to ${maxPages} pages, max depth ${maxDepth}`);
+    }
+
+    const proxyConfig = await Actor.createProxyConfiguration(proxyConfiguration);
+
+    // Log in / load session state once, then reuse it for every request
+    const sessionState = await prepareSessionState(input, {
+        proxyUrl: await proxyConfig?.newUrl()
+    });
+    if (sessionState) {
+        console.log('🔐 Auditing as an authenticated user');
+    }
+
+    // Built-in technology fingerprints plus any custom rules from the input
+    const fingerprints = loadFingerprints(customFingerprints);
+
+    // In crawl mode maxPages caps the number of distinct URLs (start URLs included); each accepted
+    // URL is then queued at every viewport, so no page ends up audited at only some of them
+    const acceptedUrls = new Set();
+
+    // Long-page capture scrolls the page once, then analyzes each tile in turn
+    const captureTiles = captureMode === 'sections' ? captureSections : maxTiles;
+    const captureTimeoutSecs = captureMode === 'viewport' ? 0 : 30 + (captureTiles - 1) * 45;
 
     // Initialize Playwright Crawler
     const crawler = new PlaywrightCrawler({
-        proxyConfiguration: await Actor.createProxyConfiguration(proxyConfiguration),
+        proxyConfiguration: proxyConfig,
         maxConcurrency,
+        // Tiles beyond the first (a scroll pass plus one AI call each), link checking (45s budget) and the
+        // pre-consent privacy check (a second page load) run on top of the page audit
+        requestHandlerTimeoutSecs: 60 + captureTimeoutSecs + (checkLinks ? 60 : 0) + (privacyAudit ? 45 : 0),
 
         launchContext: {
             launchOptions: {
@@ -913,119 +878,296 @@ await Actor.main(async () => {
         },
 
         preNavigationHooks: [
-            async ({ page }) => {
-                // Set viewport
-                await page.setViewportSize(viewportConfig);
+            async ({ page, request }, gotoOptions) => {
+                // The crawler's own navigation is the load that gets measured; analysis waits for 'load' itself
+                gotoOptions.waitUntil = 'domcontentloaded';
+
+                // Emulate the device this request is audited on
+                await applyViewport(page, request.userData.viewport);
+
+                // Inject login cookies / localStorage before the first request goes out
+                await applySessionState(page, sessionState);
+
+                // Shared in-page helpers for the DOM analyzers
+                await installDomHelpers(page);
+
+                // Observe LCP / CLS / long tasks from the very start of the page load
+                await installVitalsCollector(page);
+
+                // Record every response for the page weight breakdown
+                attachNetworkRecorder(page);
+
+                // Capture console errors, exceptions and failed requests from the first byte on
+                attachReliabilityMonitor(page);
             }
         ],
 
-        async requestHandler({ request, page, log }) {
+        async requestHandler({ request, page, response, log, enqueueLinks, proxyInfo }) {
             const url = request.url;
-            log.info(`🔍 Analyzing: ${url}`);
+            const depth = request.userData.depth ?? 0;
+            const referrer = request.userData.referrer ?? null;
+            const sitemapInfo = request.userData.sitemap ?? null;
+            const steps = request.userData.steps ?? [];
+            const viewport = request.userData.viewport;
+            log.info(`🔍 Analyzing: ${url} @ ${viewport.name}${depth > 0 ? ` (depth ${depth}, found on ${referrer})` : ''}`);
 
             // Process the URL
 
             try {
-                // Navigate and wait for page to fully load
+                // Audit the crawler's first, cold-cache navigation - a reload would hit the HTTP cache
+                // and undercount page weight, TTFB, FCP and LCP
                 log.info('⏳ Waiting for page to load...');
-                await page.goto(url, {
-                    waitUntil: 'domcontentloaded',
-                    timeout: 30000
-                });
+                const networkRecorder = getNetworkRecorder(page);
+                const reliabilityMonitor = getReliabilityMonitor(page);
 
                 // Wait a bit more for dynamic content
                 await page.waitForTimeout(2000);
 
-                // Try to dismiss common cookie consent popups
-                const cookieSelectors = [
-                    '#onetrust-accept-btn-handler',
-                    'button[aria-label="Accept"]',
-                    'button[aria-label="Accept all"]',
-                    '.cookie-accept',
-                    '[class*="cookie"] button[class*="accept"]',
-                    '#accept-cookies'
-                ];
-
-                for (const selector of cookieSelectors) {
-                    try {
-                        const button = await page.$(selector);
-                        if (button) {
-                            await button.click();
-                            log.info('✅ Dismissed cookie consent');
-                            await page.waitForTimeout(1000);
-                            break;
+                // Capture load metrics before banners, steps or scrolling disturb the page
+                const vitals = await collectWebVitals(page).catch((error) => {
+                    log.warning(`⚠️ Web vitals collection failed: ${error.message}`);
+                    return null;
+                });
+                const network = networkRecorder ? await summarizeNetwork(page, networkRecorder) : null;
+                // Third parties are charged for the page's own load only - accepting consent or running
+                // steps would otherwise blame them for tags and script work this actor triggered
+                const loadEntries = networkRecorder ? [...networkRecorder.entries] : [];
+                const loadScriptAttribution = await collectScriptAttribution(page).catch(() => null);
+
+                // Detect the consent banner, measure it, then accept / reject / leave it
+                const consent = await handleConsent(page, {
+                    action: consentAction,
+                    acceptSelectors: consentAcceptSelectors,
+                    rejectSelectors: consentRejectSelectors,
+                    log
+                });
+
+                // Reveal the UI under audit (tabs, modals, lazy sections) before analyzing it
+                let interactionSteps = [];
+                if (steps.length > 0) {
+                    interactionSteps = await runInteractionSteps(page, steps, log);
+                }
+
+                // Discover internal links and queue them for the same audit pipeline
+                // (once per page, from its primary viewport, queued for every viewport)
+                if (crawlMode && depth < maxDepth && viewport.name === primaryViewport.name) {
+                    // Pick the pages within the page budget first...
+                    const pageLinks = [];
+                    await enqueueLinks({
+                        strategy: 'same-domain',
+                        globs: includeGlobs.length > 0 ? includeGlobs : undefined,
+                        exclude: excludeGlobs,
+                        transformRequestFunction: (req) => {
+                            const linkUrl = req.url.split('#')[0];
+                            if (!acceptedUrls.has(linkUrl)) {
+                                if (acceptedUrls.size >= maxPages) return false;
+                                acceptedUrls.add(linkUrl);
+                            }
+                            pageLinks.push(linkUrl);
+                            return false;
+                        }
+                    });
+
+                    // ...then queue each of them at every viewport
+                    let newLinks = 0;
+                    if (pageLinks.length > 0) {
+                        for (const targetViewport of viewports) {
+                            const { processedRequests } = await enqueueLinks({
+                                urls: pageLinks,
+                                strategy: 'all', // Already filtered above
+                                transformRequestFunction: (req) => ({
+                                    ...req,
+                                    uniqueKey: viewportUniqueKey(req.url, targetViewport),
+                                    userData: { depth: depth + 1, referrer: url, viewport: targetViewport }
+                                })
+                            });
+                            newLinks += processedRequests.filter(r => !r.wasAlreadyPresent).length;
                         }
-                    } catch (e) {
-                        // Ignore errors - cookie popup might not exist
                     }
+                    log.info(`🕸️ Queued ${newLinks} new internal page audits at depth ${depth + 1}`);
+                }
+
+                const authenticated = await isAuthenticated(page, sessionState, authenticatedSelector);
+                if (sessionState && !authenticated) {
+                    log.warning(`⚠️ Authenticated marker "${authenticatedSelector}" not found - page may show the logged-out view`);
                 }
 
                 // Comprehensive website analysis
                 log.info('🔍 Detecting technologies...');
-                const technologies = await detectTechnologies(page);
+                const technologies = await detectTechnologies(page, { response, fingerprints });
+
+                log.info('🖼️ Checking image optimization...');
+                const images = await analyzeImages(page, {
+                    networkEntries: networkRecorder ? networkRecorder.entries : [],
+                    lcpElement: vitals?.lcp_element
+                }).catch((error) => {
+                    log.warning(`⚠️ Image analysis failed: ${error.message}`);
+                    return null;
+                });
 
                 log.info('⚡ Analyzing performance metrics...');
-                const performance = await analyzePerformance(page);
+                const performance = await analyzePerformance(page, vitals, network, images);
+
+                log.info('🧾 Analyzing forms...');
+                const forms = await analyzeForms(page).catch((error) => {
+                    log.warning(`⚠️ Form analysis failed: ${error.message}`);
+                    return null;
+                });
+
+                log.info('🔤 Measuring typography...');
+                const typography = await analyzeTypography(page).catch((error) => {
+                    log.warning(`⚠️ Typography analysis failed: ${error.message}`);
+                    return null;
+                });
 
                 log.info('♿ Checking accessibility...');
-                const accessibility = await analyzeAccessibility(page);
+                const accessibility = await analyzeAccessibility(page, { contrastLevel, forms, typography });
 
                 log.info('📱 Testing mobile responsiveness...');
-                const mobile = await analyzeMobileResponsiveness(page);
+                const mobile = await analyzeMobileResponsiveness(page, viewport);
 
                 log.info('🔍 Analyzing SEO elements...');
-                const seo = await analyzeSEO(page);
+                const seo = await analyzeSEO(page, { response });
 
                 log.info('📝 Examining content quality...');
                 const content = await analyzeContent(page);
 
-                log.info('💰 Evaluating conversion optimization...');
-                const conversion = await analyzeConversion(page);
-
-                // Capture screenshot
-                log.info('📸 Capturing screenshot...');
-                const screenshotBuffer = await page.screenshot({
-                    type: 'png',
-                    fullPage: false, // Only above the fold
-                    timeout: 30000 // 30 second timeout
+                log.info('🔒 Checking security headers and mixed content...');
+                const security = await analyzeSecurity(page, {
+                    response,
+                    networkEntries: networkRecorder ? networkRecorder.entries : []
+                }).catch((error) => {
+                    log.warning(`⚠️ Security analysis failed: ${error.message}`);
+                    return null;
+                });
+
+                log.info('🧩 Measuring third-party impact...');
+                const thirdParties = await analyzeThirdParties(page, {
+                    networkEntries: loadEntries,
+                    scriptAttribution: loadScriptAttribution,
+                    laterEntries: networkRecorder ? networkRecorder.entries.slice(loadEntries.length) : [],
+                    technologies,
+                    fingerprints
+                }).catch((error) => {
+                    log.warning(`⚠️ Third-party analysis failed: ${error.message}`);
+                    return null;
                 });
 
-                // Convert to base64
-                const screenshotBase64 = screenshotBuffer.toString('base64');
+                log.info('💰 Evaluating conversion optimization...');
+                const conversion = await analyzeConversion(page, forms, security);
+
+                let linkCheck = null;
+                if (checkLinks) {
+                    log.info('🔗 Checking links...');
+                    linkCheck = await checkPageLinks(page, {
+                        maxLinks: maxLinksPerPage,
+                        concurrency: linkCheckConcurrency,
+                        proxyUrl: proxyInfo?.url
+                    }).catch((error) => {
+                        log.warning(`⚠️ Link check failed: ${error.message}`);
+                        return null;
+                    });
+                    if (linkCheck) {
+                        log.info(`🔗 ${linkCheck.checked} links checked: ${linkCheck.broken.length} broken, ${linkCheck.redirects.length} redirected`);
+                    }
+                }
 
-                // Save screenshot to key-value store
-                const screenshotKey = `SCREENSHOT_${request.id}.png`;
-                await Actor.setValue(screenshotKey, screenshotBuffer, { contentType: 'image/png' });
+                // Errors from the load, consent handling, interaction steps and analysis above
+                const reliability = reliabilityMonitor
+                    ? await summarizeReliability(page, reliabilityMonitor).catch((error) => {
+                        log.warning(`⚠️ Reliability summary failed: ${error.message}`);
+                        return null;
+                    })
+                    : null;
+                if (reliability && reliability.uncaught_exceptions + reliability.failed_requests > 0) {
+                    log.info(`🧯 ${reliability.uncaught_exceptions} JS exceptions, ${reliability.failed_requests} failed requests, ${reliability.broken_images} broken images`);
+                }
 
+                // Tracking before consent, checked once per URL in a fresh browser context
+                let privacy = null;
+                if (privacyAudit && viewport.name === primaryViewport.name) {
+                    log.info('🕵️ Checking tracking before consent...');
+                    privacy = await runPrivacyAudit(url, {
+                        viewport,
+                        proxyUrl: proxyInfo?.url,
+                        consentAction,
+                        acceptSelectors: consentAcceptSelectors,
+                        rejectSelectors: consentRejectSelectors,
+                        fingerprints,
+                        log
+                    }).catch((error) => {
+                        log.warning(`⚠️ Privacy audit failed: ${error.message}`);
+                        return null;
+                    });
+                    if (privacy) {
+                        log.info(`🕵️ ${privacy.before_consent.trackers.length} trackers and ${privacy.before_consent.tracking_cookies.length} tracking cookies before consent`);
+                    }
+                }
+
+                // Capture screenshot (one tile above the fold, or several for long pages)
+                log.info(`📸 Capturing screenshot (${captureMode})...`);
+                const { tiles, pageHeight, truncated } = await captureScreenshotTiles(page, {
+                    captureMode,
+                    sections: captureSections,
+                    maxTiles
+                });
+                if (truncated) {
+                    log.warning(`⚠️ Page is ${pageHeight}px tall - only the first ${tiles.length} tiles are analyzed`);
+                }
+
+                // Save screenshots to key-value store (first tile keeps the classic key)
                 const keyValueStore = await Actor.openKeyValueStore();
                 const storeId = keyValueStore.id;
-                const screenshotUrl = `https://api.apify.com/v2/key-value-stores/${storeId}/records/${screenshotKey}`;
+                for (const tile of tiles) {
+                    tile.key = tile.section === 1
+                        ? `SCREENSHOT_${request.id}.png`
+                        : `SCREENSHOT_${request.id}_${tile.section}.png`;
+                    await Actor.setValue(tile.key, tile.buffer, { contentType: 'image/png' });
+                    tile.url = `https://api.apify.com/v2/key-value-stores/${storeId}/records/${tile.key}`;
+                }
+                const screenshotUrl = tiles[0].url;
 
-                log.info(`💾 Screenshot saved: ${screenshotKey}`);
+                log.info(`💾 Screenshot saved: ${tiles.map(tile => tile.key).join(', ')}`);
 
-                // Perform AI analysis
+                // Palette from the screenshot pixels and computed CSS - the same on every run and provider
+                const colors = await extractColorPalette(page, tiles).catch((error) => {
+                    log.warning(`⚠️ Color palette extraction failed: ${error.message}`);
+                    return null;
+                });
+
+                // Outline failing touch targets on a separate full-page screenshot
+                const failingTargets = mobile.touch_targets?.failing_targets || [];
+                if (annotateTargets && failingTargets.length > 0) {
+                    try {
+                        const annotatedKey = `TOUCH_TARGETS_${request.id}.png`;
+                        await Actor.setValue(annotatedKey, await annotateTouchTargets(page, failingTargets), { contentType: 'image/png' });
+                        mobile.touch_targets.annotated_screenshot_url = `https://api.apify.com/v2/key-value-stores/${storeId}/records/${annotatedKey}`;
+                        log.info(`💾 Touch target annotations saved: ${annotatedKey}`);
+                    } catch (error) {
+                        log.warning(`⚠️ Touch target annotation failed: ${error.message}`);
+                    }
+                }
+
+                // Perform AI analysis, tile by tile to stay within rate limits
                 log.info(`🤖 Analyzing with ${aiProvider.type.toUpperCase()}...`);
                 let aiResult;
 
                 try {
-                    if (aiProvider.type === 'openai' || aiProvider.type === 'openrouter') {
-                        aiResult = await analyzeWithOpenAI(
-                            aiProvider.client,
-                            screenshotBase64,
+                    const tileAnalyses = [];
+                    for (const tile of tiles) {
+                        const sectionNote = tiles.length > 1
+                            ? ` (section ${tile.section} of ${tiles.length}, ${tile.top}-${tile.top + tile.height}px from the top of the page)`
+                            : '';
+                        const result = await analyzeScreenshot(
+                            aiProvider,
+                            tile.buffer.toString('base64'),
                             analysisType,
                             url,
-                            aiProvider.model
+                            sectionNote
                         );
-                    } else if (aiProvider.type === 'gemini') {
-                        aiResult = await analyzeWithGemini(
-                            aiProvider.client,
-                            screenshotBase64,
-                            analysisType,
-                            url
-                        );
-                    } else {
-                        throw new Error(`Unsupported AI provider: ${aiProvider.type}`);
+                        tileAnalyses.push({ tile, result });
                     }
+                    aiResult = mergeTileAnalyses(tileAnalyses);
 
                 } catch (apiError) {
                     log.error(`❌ AI Analysis failed: ${apiError.message}`);
@@ -1042,13 +1184,24 @@ await Actor.main(async () => {
                     throw new Error(`AI analysis failed: ${apiError.message}`);
                 }
 
+                const aiPalette = normalizeHexColors(aiResult.color_palette);
+                const palette = colors ? colors.palette.map(color => color.hex) : aiPalette;
+
                 // Create a flattened version for vertical display
                 const flattenedResult = {
                     'Website URL': url,
                     'Audit Date': new Date().toISOString(),
                     'Analysis Type': analysisType,
-                    'Viewport': viewPort,
+                    'Viewport': viewport.name,
                     'AI Provider': aiProvider.type,
+                    'Crawl Depth': depth,
+                    'Referring Page': referrer || 'Start URL',
+                    'Sitemap Last Modified': sitemapInfo?.lastmod || 'N/A',
+                    'Sitemap Priority': sitemapInfo?.priority ?? 'N/A',
+                    '🔐 Authenticated': authenticated ? 'Yes' : 'No',
+                    '🍪 Consent Banner': consent.detected
+                        ? `${consent.cmp} (${consent.viewport_coverage_percent}% of viewport, ${consent.action_taken})`
+                        : 'None detected',
 
                     // Scores
                     '⭐ Overall UX Score': aiResult.score || 0,
@@ -1058,11 +1211,14 @@ await Actor.main(async () => {
                     '🔍 SEO Score': seo.seo_score,
                     '📝 Content Score': content.content_score,
                     '💰 Conversion Score': conversion.conversion_score,
+                    '🔒 Security Score': security ? security.security_score : 'N/A',
 
                     // AI Analysis
                     '📝 AI Summary': aiResult.summary || 'No summary available',
-                    '🎨 Color Palette': (aiResult.color_palette || []).join(', '),
-                    '⚠️ Design Issues': (aiResult.design_flaws || []).join(' | '),
+                    '🎨 Color Palette': palette.join(', '),
+                    '🤖 AI Color Palette': aiPalette.join(', '),
+                    '👯 Near-Duplicate Colors': colors ? colors.near_duplicates.map(pair => pair.colors.join(' ~ ')).join(', ') || 'None' : 'N/A',
+                    '⚠️ Design Issues': [...consent.findings, ...(aiResult.design_flaws || [])].join(' | '),
                     '✅ Positive Aspects': (aiResult.positive_aspects || []).join(' | '),
                     '💡 AI Recommendations': (aiResult.recommendations || []).join(' | '),
 
@@ -1072,20 +1228,46 @@ await Actor.main(async () => {
                     '📄 CMS Platform': technologies.cms || 'Not detected',
                     '🛒 E-commerce Platform': technologies.ecommerce || 'Not detected',
                     '📊 Analytics Tools': technologies.analytics.join(', ') || 'None detected',
+                    '📣 Marketing Tools': technologies.marketing_tools.join(', ') || 'None detected',
+                    '🍪 Consent Management': technologies.consent_management.join(', ') || 'None detected',
+                    '☁️ Hosting / CDN': [technologies.hosting_provider, technologies.cdn].filter(Boolean).join(', ') || 'Not detected',
+                    '🖥️ Web Server': technologies.server_info || 'Not detected',
 
                     // Performance
                     '🖼️ Image Count': performance.image_count,
                     '🔘 Button Count': performance.button_count,
                     '📝 Form Count': performance.form_count,
                     '📜 Script Count': performance.script_count,
+                    '⏱️ Load Time (ms)': performance.page_load_time,
+                    '📦 Page Size (MB)': performance.page_size_mb,
+                    '🌐 Requests': network?.total_requests ?? 'N/A',
+                    '🖼️ LCP (ms)': vitals?.lcp_ms ?? 'N/A',
+                    '📐 CLS': vitals?.cls ?? 'N/A',
+                    '🧱 TBT (ms)': vitals?.tbt_ms ?? 'N/A',
+                    '🎨 FCP (ms)': vitals?.fcp_ms ?? 'N/A',
+                    '📡 TTFB (ms)': vitals?.ttfb_ms ?? 'N/A',
+                    '🗜️ Image Savings (KB)': images ? Math.round(images.estimated_savings_bytes / 1024) : 'N/A',
+                    '🐘 Oversized Images': images ? images.issue_counts.oversized : 'N/A',
+                    '🧬 Legacy Format Images': images ? images.issue_counts['legacy-format'] : 'N/A',
+                    '🧩 Third Parties': thirdParties ? thirdParties.entities.map(entity => entity.entity).join(', ') || 'None' : 'N/A',
+                    '📦 Third-Party Bytes (KB)': thirdParties ? Math.round(thirdParties.third_party_bytes / 1024) : 'N/A',
+                    '🧵 Third-Party Main Thread (ms)': thirdParties?.third_party_main_thread_ms ?? 'N/A',
+                    '⛔ Render-Blocking Third Parties': thirdParties
+                        ? thirdParties.entities.filter(entity => entity.render_blocking.length > 0).map(entity => entity.entity).join(', ') || 'None'
+                        : 'N/A',
 
                     // Accessibility
                     '⚠️ Missing Alt Text': accessibility.alt_text_missing,
-                    '🚫 WCAG Violations': accessibility.wcag_violations.join(', ') || 'None found',
+                    '🚫 WCAG Violations': [...new Set(accessibility.wcag_violations.map(v => v.rule))].join(', ') || 'None found',
+                    '🌗 Contrast Issues': accessibility.contrast_issues,
+                    '🗂️ Heading Structure Score': accessibility.heading_structure_score,
+                    '⌨️ Keyboard Navigation Score': accessibility.keyboard_navigation_score,
+                    '🎯 Missing Focus Indicators': accessibility.keyboard_navigation?.missing_focus_indicator.length ?? 'N/A',
                     '📋 Form Labels Score': accessibility.form_labels_score,
 
                     // Mobile
-                    '👆 Touch Target Score': mobile.touch_target_compliance,
+                    '👆 Touch Target Score': mobile.touch_target_compliance ?? 'N/A (desktop viewport)',
+                    '👉 Touch Target Failures (AA)': mobile.touch_targets?.aa_failures ?? 'N/A',
                     '📱 Viewport Meta Present': mobile.viewport_meta_present ? 'Yes' : 'No',
                     '🍔 Navigation Type': mobile.mobile_navigation_type || 'Standard',
 
@@ -1094,16 +1276,54 @@ await Actor.main(async () => {
                     '📝 Meta Description': seo.meta_description || 'Missing',
                     '📰 H1 Tags': seo.h1_tags.join(', ') || 'None found',
                     '🖼️ Image Alt Optimization': `${seo.image_alt_optimization}%`,
+                    '🔗 Canonical URL': seo.canonical_url || 'Missing',
+                    '🤖 Indexable': seo.indexable === false ? 'No (noindex)' : 'Yes',
+                    '🧩 Structured Data Types': seo.structured_data_types?.join(', ') || 'None found',
+                    '🏷️ Missing Meta Tags': seo.missing_meta_tags.join(', ') || 'None',
+                    '🔗 Broken Links': linkCheck ? linkCheck.broken.length : 'Not checked',
+                    '↪️ Redirected Links': linkCheck ? linkCheck.redirects.length : 'Not checked',
 
                     // Content
                     '📊 Word Count': content.word_count,
                     '📢 CTA Count': content.call_to_action_count,
+                    '📖 Reading Ease': content.readability?.reading_ease ?? 'N/A',
+                    '🎓 Grade Level': content.readability?.grade_level ?? 'N/A',
+                    '🌍 Content Language': content.readability ? `${content.readability.language_detected} (html lang: ${content.readability.html_lang || 'missing'})` : 'N/A',
                     '🏆 Social Proof Elements': content.social_proof_elements.join(', ') || 'None detected',
 
                     // Conversion
                     '🛡️ Trust Signals': conversion.trust_signals.join(', ') || 'None detected',
                     '⚠️ Friction Points': conversion.friction_points.join(', ') || 'None detected',
                     '🎯 CTA Visibility Score': conversion.cta_visibility_score,
+                    '🧾 Form Fields': forms ? forms.fields_count : 'N/A',
+                    '✍️ Form Optimization Score': conversion.form_optimization_score,
+
+                    // Typography
+                    '🔤 Font Families': typography ? typography.font_families.map(font => font.family).join(', ') || 'None detected' : 'N/A',
+                    '🔠 Body Font Size (px)': typography?.body_font_size_px ?? 'N/A',
+                    '↕️ Body Line Height': typography?.body_line_height ?? 'N/A',
+                    '📏 Line Length (chars)': typography?.line_length.median_chars ?? 'N/A',
+                    '🔎 Text Under 12px': typography ? typography.small_text_count : 'N/A',
+
+                    // Security
+                    '🔐 HTTPS': security ? (security.https ? 'Yes' : 'No') : 'N/A',
+                    '🧱 Missing Security Headers': security
+                        ? security.issues.filter(issue => issue.rule.endsWith('-missing')).map(issue => issue.rule.replace(/-missing$/, '')).join(', ') || 'None'
+                        : 'N/A',
+                    '🍪 Insecure Cookies': security ? security.cookies.filter(cookie => cookie.issues.length > 0).map(cookie => cookie.name).join(', ') || 'None' : 'N/A',
+                    '⚠️ Mixed Content': security ? security.mixed_content.active.length + security.mixed_content.passive.length : 'N/A',
+
+                    // Privacy (when privacyAudit is enabled)
+                    '🕵️ Trackers Before Consent': privacy ? privacy.before_consent.trackers.join(', ') || 'None' : 'Not checked',
+                    '🍪 Tracking Cookies Before Consent': privacy ? privacy.before_consent.tracking_cookies.join(', ') || 'None' : 'Not checked',
+                    '🔏 Privacy Score': privacy ? privacy.privacy_score : 'N/A',
+
+                    // Reliability
+                    '🧯 Reliability Score': reliability ? reliability.reliability_score : 'N/A',
+                    '💥 JS Exceptions': reliability ? reliability.uncaught_exceptions : 'N/A',
+                    '🛑 Console Errors': reliability ? reliability.console_errors : 'N/A',
+                    '❌ Failed Requests': reliability ? reliability.failed_requests : 'N/A',
+                    '🖼️ Broken Images': reliability ? reliability.broken_images : 'N/A',
 
                     // Screenshot
                     '📸 Screenshot URL': screenshotUrl
@@ -1115,17 +1335,35 @@ await Actor.main(async () => {
                     url,
                     audit_date: new Date().toISOString(),
                     analysis_type: analysisType,
-                    viewport: viewPort,
+                    viewport: viewport.name,
+                    viewport_config: {
+                        width: viewport.width,
+                        height: viewport.height,
+                        device_scale_factor: viewport.deviceScaleFactor,
+                        is_mobile: viewport.isMobile
+                    },
                     ai_provider: aiProvider.type,
+                    crawl_depth: depth,
+                    referrer_url: referrer,
+                    sitemap_lastmod: sitemapInfo?.lastmod ?? null,
+                    sitemap_priority: sitemapInfo?.priority ?? null,
+                    sitemap_source: sitemapInfo?.source ?? null,
+                    authenticated,
+                    interaction_steps: interactionSteps,
 
                     // AI Analysis Results
                     overall_score: aiResult.score || 0,
                     ai_summary: aiResult.summary || 'No summary available',
-                    color_palette: aiResult.color_palette || [],
-                    design_flaws: aiResult.design_flaws || [],
+                    color_palette: palette, // Measured from the page; the AI palette when extraction fails
+                    ai_color_palette: aiPalette,
+                    // A banner blocking the first screen is a design issue in its own right
+                    design_flaws: [...consent.findings, ...(aiResult.design_flaws || [])],
                     positive_aspects: aiResult.positive_aspects || [],
                     ai_recommendations: aiResult.recommendations || [],
 
+                    // Consent Banner
+                    consent_banner: consent,
+
                     // Technology Stack
                     technology_stack: technologies,
 
@@ -1147,6 +1385,30 @@ await Actor.main(async () => {
                     // Conversion Optimization
                     conversion_analysis: conversion,
 
+                    // Form Labels, Autofill and Friction
+                    form_analysis: forms,
+
+                    // Measured Palette, Coverage and Near-Duplicate Colors
+                    color_analysis: colors,
+
+                    // Fonts, Sizes, Line Metrics and Heading Scale
+                    typography_analysis: typography,
+
+                    // Security Headers, Cookies and Mixed Content
+                    security_analysis: security,
+
+                    // Tracking Before / After Consent (when privacyAudit is enabled)
+                    privacy_analysis: privacy,
+
+                    // Bytes, Main-Thread Time and Render Blocking per Third Party
+                    third_party_analysis: thirdParties,
+
+                    // Console Errors, Exceptions, Failed Requests and Broken Images
+                    reliability_analysis: reliability,
+
+                    // Link Health (when checkLinks is enabled)
+                    link_check: linkCheck,
+
                     // Comprehensive Scores
                     scores: {
                         overall_ux: aiResult.score || 0,
@@ -1155,11 +1417,22 @@ await Actor.main(async () => {
                         mobile: mobile.mobile_score,
                         seo: seo.seo_score,
                         content: content.content_score,
-                        conversion: conversion.conversion_score
+                        conversion: conversion.conversion_score,
+                        reliability: reliability ? reliability.reliability_score : null,
+                        security: security ? security.security_score : null,
+                        privacy: privacy ? privacy.privacy_score : null
                     },
 
                     // Screenshot
-                    screenshot_url: screenshotUrl
+                    screenshot_url: screenshotUrl,
+                    capture_mode: captureMode,
+                    screenshot_tiles: tiles.map(tile => ({
+                        section: tile.section,
+                        top: tile.top,
+                        height: tile.height,
+                        url: tile.url
+                    })),
+                    section_findings: aiResult.section_findings || []
                 };
 
                 // Save both comprehensive and flattened results to dataset
@@ -1180,7 +1453,14 @@ await Actor.main(async () => {
                     error: error.message,
                     audit_date: new Date().toISOString(),
                     analysis_type: analysisType,
-                    viewport: viewPort
+                    viewport: viewport.name,
+                    crawl_depth: depth,
+                    referrer_url: referrer,
+                    // Present when a pre-audit interaction step was the cause
+                    ...(error.failedStep ? {
+                        failed_step: error.failedStep,
+                        interaction_steps: error.completedSteps
+                    } : {})
                 });
             }
         },
@@ -1190,11 +1470,66 @@ await Actor.main(async () => {
         }
     });
 
-    // Convert startUrls format for crawler
-    const urls = startUrls.map(item => typeof item === 'string' ? item : item.url);
+    // Convert startUrls format for crawler (start URLs are depth 0 of the crawl)
+    const urls = startUrls.map(item => ({
+        url: typeof item === 'string' ? item : item.url,
+        userData: {
+            depth: 0,
+            steps: (typeof item === 'string' ? null : item.steps || item.userData?.steps) || []
+        }
+    }));
+
+    // Expand sitemaps into the queue, keeping lastmod/priority for prioritizing stale pages
+    if (sitemapUrls.length > 0) {
+        console.log(`🗺️ Loading ${sitemapUrls.length} sitemap(s)...`);
+        const sitemapEntries = await loadSitemapUrls(sitemapUrls, {
+            sampleSize: sitemapSampleSize,
+            respectRobotsTxt
+        });
+        for (const entry of sitemapEntries) {
+            urls.push({
+                url: entry.url,
+                userData: {
+                    depth: 0,
+                    sitemap: {
+                        lastmod: entry.lastmod,
+                        priority: entry.priority,
+                        source: entry.sitemap
+                    }
+                }
+            });
+        }
+        console.log(`🗺️ Added ${sitemapEntries.length} URLs from sitemaps`);
+    }
+
+    if (urls.length === 0) {
+        throw new Error('No URLs to analyze. The provided sitemaps did not yield any allowed URLs.');
+    }
 
-    // Run the crawler
-    await crawler.run(urls);
+    // Start and sitemap URLs count towards the crawl's page budget
+    if (crawlMode) {
+        urls.forEach(({ url }) => acceptedUrls.add(url.split('#')[0]));
+        if (acceptedUrls.size > maxPages) {
+            const kept = new Set([...acceptedUrls].slice(0, maxPages));
+            console.log(`⚠️ ${acceptedUrls.size} start and sitemap URLs exceed Max Pages - auditing the first ${maxPages}`);
+            urls.splice(0, urls.length, ...urls.filter(({ url }) => kept.has(url.split('#')[0])));
+            acceptedUrls.clear();
+            kept.forEach(keptUrl => acceptedUrls.add(keptUrl));
+        }
+    }
+
+    // Run the crawler with every URL queued once per viewport
+    const requests = urls.flatMap(({ url, userData }) => viewports.map(viewport => ({
+        url,
+        uniqueKey: viewportUniqueKey(url, viewport),
+        userData: { ...userData, viewport }
+    })));
+    try {
+        await crawler.run(requests);
+    } finally {
+        // The privacy audit runs its own Chromium outside the crawler's browser pool
+        await closePrivacyBrowser();
+    }
 
     // Generate HTML Dashboard
     console.log('🎨 Generating interactive HTML dashboard...');
@@ -0,0 +1,169 @@
+// Network Recorder - Records every response of a page load for weight and cache analysis
+// Attached in preNavigationHooks; summarized by analyzePerformance
+
+// Playwright resource types grouped into the buckets shown in reports
+const RESOURCE_BUCKETS = {
+    script: 'js',
+    stylesheet: 'css',
+    image: 'images',
+    font: 'fonts',
+    media: 'media',
+    document: 'documents',
+    xhr: 'data',
+    fetch: 'data',
+    eventsource: 'data'
+};
+
+const recorders = new WeakMap();
+
+/**
+ * Start recording finished requests on a page (call before navigation)
+ * @param {Page} page - Playwright page
+ * @returns {Object} Recorder with `entries`
+ */
+export function attachNetworkRecorder(page) {
+    const recorder = {
+        entries: [],
+        pending: new Set()
+    };
+
+    page.on('requestfinished', (request) => {
+        const task = recordRequest(request)
+            .then(entry => {
+                if (entry) recorder.entries.push(entry);
+            })
+            .catch(() => {
+                // Page or request was closed before its sizes were available
+            })
+            .finally(() => recorder.pending.delete(task));
+        recorder.pending.add(task);
+    });
+
+    recorders.set(page, recorder);
+    return recorder;
+}
+
+/**
+ * Get the recorder attached to a page, if any
+ * @param {Page} page - Playwright page
+ * @returns {Object|undefined}
+ */
+export function getNetworkRecorder(page) {
+    return recorders.get(page);
+}
+
+/**
+ * Build the page weight report from the recorded responses
+ * @param {Page} page - Playwright page (for Resource Timing decoded sizes)
+ * @param {Object} recorder - Recorder from attachNetworkRecorder
+ * @returns {Promise<Object>} Totals, per-type and per-origin breakdowns, cache stats and largest resources
+ */
+export async function summarizeNetwork(page, recorder) {
+    await Promise.allSettled([...recorder.pending]);
+
+    // Resource Timing knows decoded (uncompressed) sizes for same-origin / TAO resources
+    const decodedSizes = await page.evaluate(() => Object.fromEntries(
+        performance.getEntriesByType('resource')
+            .filter(entry => entry.decodedBodySize > 0)
+            .map(entry => [entry.name, entry.decodedBodySize])
+    )).catch(() => ({}));
+
+    const pageOrigin = new URL(page.url()).origin;
+    const byType = {};
+    const byOrigin = {};
+    const summary = {
+        total_requests: recorder.entries.length,
+        transferred_bytes: 0,
+        uncompressed_bytes: 0,
+        by_type: byType,
+        by_origin: [],
+        compressed_text_resources: 0,
+        uncompressed_text_resources: [],
+        cacheable_resources: 0,
+        uncached_resources: [],
+        largest_resources: []
+    };
+
+    for (const entry of recorder.entries) {
+        // Cross-origin resources without Timing-Allow-Origin only expose their transfer size
+        entry.decoded_bytes = decodedSizes[entry.url] || entry.body_bytes;
+
+        summary.transferred_bytes += entry.transfer_bytes;
+        summary.uncompressed_bytes += entry.decoded_bytes;
+
+        const bucket = byType[entry.type] || (byType[entry.type] = { requests: 0, transferred_bytes: 0, uncompressed_bytes: 0 });
+        bucket.requests++;
+        bucket.transferred_bytes += entry.transfer_bytes;
+        bucket.uncompressed_bytes += entry.decoded_bytes;
+
+        const origin = byOrigin[entry.origin] || (byOrigin[entry.origin] = { origin: entry.origin, requests: 0, transferred_bytes: 0, first_party: entry.origin === pageOrigin });
+        origin.requests++;
+        origin.transferred_bytes += entry.transfer_bytes;
+
+        // Text resources over 1KB should be gzip/brotli compressed
+        if (['js', 'css', 'documents', 'data'].includes(entry.type) && entry.body_bytes > 1024) {
+            if (entry.content_encoding) {
+                summary.compressed_text_resources++;
+            } else {
+                summary.uncompressed_text_resources.push(entry.url);
+            }
+        }
+
+        // Static assets without a cache lifetime are re-downloaded on every visit
+        if (['js', 'css', 'images', 'fonts', 'media'].includes(entry.type)) {
+            if (hasCacheLifetime(entry.cache_control, entry.expires)) {
+                summary.cacheable_resources++;
+            } else {
+                summary.uncached_resources.push(entry.url);
+            }
+        }
+    }
+
+    summary.by_origin = Object.values(byOrigin).sort((a, b) => b.transferred_bytes - a.transferred_bytes);
+    summary.largest_resources = [...recorder.entries]
+        .sort((a, b) => b.transfer_bytes - a.transfer_bytes)
+        .slice(0, 10)
+        .map(({ url, type, transfer_bytes, decoded_bytes, content_encoding, cache_control }) =>
+            ({ url, type, transfer_bytes, decoded_bytes, content_encoding, cache_control }));
+    summary.uncompressed_text_resources = summary.uncompressed_text_resources.slice(0, 20);
+    summary.uncached_resources = summary.uncached_resources.slice(0, 20);
+
+    return summary;
+}
+
+async function recordRequest(request) {
+    const response = await request.response();
+    if (!response) return null;
+
+    const [sizes, headers] = await Promise.all([request.sizes(), response.allHeaders()]);
+    const url = request.url();
+    if (url.startsWith('data:')) return null;
+
+    return {
+        url,
+        origin: new URL(url).origin,
+        type: RESOURCE_BUCKETS[request.resourceType()] || 'other',
+        mime_type: (headers['content-type'] || '').split(';')[0] || null,
+        status: response.status(),
+        transfer_bytes: sizes.responseBodySize + sizes.responseHeadersSize,
+        body_bytes: sizes.responseBodySize,
+        content_length: parseInt(headers['content-length'], 10) || null,
+        content_encoding: headers['content-encoding'] || null,
+        cache_control: headers['cache-control'] || null,
+        expires: headers.expires || null,
+        etag: headers.etag || null,
+        last_modified: headers['last-modified'] || null,
+        from_service_worker: response.fromServiceWorker()
+    };
+}
+
+function hasCacheLifetime(cacheControl, expires) {
+    if (cacheControl) {
+        if (/no-store|no-cache/i.test(cacheControl)) return false;
+        const maxAge = cacheControl.match(/(?:s-)?max-age=(\d+)/i);
+        if (maxAge) return parseInt(maxAge[1], 10) > 0;
+    }
+    return Boolean(expires) && new Date(expires).getTime() > Date.now();
+}
+
+export default { attachNetworkRecorder, getNetworkRecorder, summarizeNetwork };
@@ -0,0 +1,195 @@
+// Privacy Audit - Which cookies and trackers load before the visitor answers the consent banner
+// Loads the page again in a fresh browser context, snapshots before and after the consent handler runs
+
+import { chromium } from 'playwright';
+import { handleConsent } from './consent-handler.js';
+import { detectTechnologies } from './technology-detector.js';
+import { TRACKING_CATEGORIES, registrableDomain, classifyUrl, classifyCookie } from './third-party-entities.js';
+
+const NAVIGATION_TIMEOUT_MS = 30000;
+const SETTLE_TIMEOUT_MS = 8000;
+
+// One browser for every privacy check in the run; each check gets its own context
+let browserPromise = null;
+
+/**
+ * Load a URL with no prior cookies and compare tracking before and after consent
+ * @param {string} url - Page to check
+ * @param {Object} options
+ * @param {Object} options.viewport - Viewport config from resolveViewports
+ * @param {string} [options.proxyUrl] - Proxy for the fresh context
+ * @param {string} options.consentAction - 'accept', 'reject' or 'leave'
+ * @param {Array<string>} options.acceptSelectors - Extra consent accept buttons
+ * @param {Array<string>} options.rejectSelectors - Extra consent reject buttons
+ * @param {Array<Object>} options.fingerprints - Rules from loadFingerprints
+ * @param {Object} options.log - Crawlee logger
+ * @returns {Promise<Object>} Before/after consent snapshots, issues and a 1-10 `privacy_score`
+ */
+export async function runPrivacyAudit(url, {
+    viewport,
+    proxyUrl,
+    consentAction = 'accept',
+    acceptSelectors = [],
+    rejectSelectors = [],
+    fingerprints,
+    log = console
+} = {}) {
+    browserPromise = browserPromise || chromium.launch({ headless: true });
+    const browser = await browserPromise;
+    const context = await browser.newContext({
+        viewport: { width: viewport.width, height: viewport.height },
+        deviceScaleFactor: viewport.deviceScaleFactor,
+        isMobile: viewport.isMobile,
+        hasTouch: viewport.isMobile,
+        ...(viewport.userAgent ? { userAgent: viewport.userAgent } : {}),
+        ...(proxyUrl ? { proxy: toPlaywrightProxy(proxyUrl) } : {})
+    });
+
+    try {
+        const page = await context.newPage();
+        const requests = [];
+        page.on('request', (request) => requests.push(request.url()));
+
+        const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: NAVIGATION_TIMEOUT_MS });
+        await page.waitForLoadState('networkidle', { timeout: SETTLE_TIMEOUT_MS }).catch(() => {});
+
+        const pageDomain = registrableDomain(new URL(page.url()).hostname);
+        const before = await snapshot(page, requests, pageDomain, { response, fingerprints });
+
+        const consent = await handleConsent(page, { action: consentAction, acceptSelectors, rejectSelectors, log });
+        let after = null;
+        if (['accepted', 'rejected'].includes(consent.action_taken)) {
+            await page.waitForLoadState('networkidle', { timeout: SETTLE_TIMEOUT_MS }).catch(() => {});
+            after = await snapshot(page, requests, pageDomain, { response, fingerprints });
+        }
+
+        return buildReport(before, after, consent);
+    } finally {
+        await context.close().catch(() => {});
+    }
+}
+
+/**
+ * Close the shared privacy audit browser (call once the crawl is finished)
+ */
+export async function closePrivacyBrowser() {
+    if (!browserPromise) return;
+    const browser = await browserPromise.catch(() => null);
+    browserPromise = null;
+    await browser?.close().catch(() => {});
+}
+
+async function snapshot(page, requests, pageDomain, { response, fingerprints }) {
+    const cookies = (await page.context().cookies()).map(cookie => {
+        const domain = cookie.domain.replace(/^\./, '');
+        const classification = classifyCookie(cookie);
+        return {
+            name: cookie.name,
+            domain,
+            first_party: registrableDomain(domain) === pageDomain,
+            entity: classification?.entity || null,
+            category: classification?.category || 'unknown'
+        };
+    });
+
+    // Group third-party requests by entity (unknown hosts by their own domain)
+    const groups = new Map();
+    requests.forEach(requestUrl => {
+        let hostname;
+        try {
+            hostname = new URL(requestUrl).hostname;
+        } catch (error) {
+            return;
+        }
+        if (!/^https?:/.test(requestUrl) || registrableDomain(hostname) === pageDomain) return;
+
+        const entity = classifyUrl(requestUrl);
+        const key = entity ? entity.name : registrableDomain(hostname);
+        if (!groups.has(key)) {
+            groups.set(key, {
+                entity: key,
+                company: entity?.company || null,
+                category: entity?.category || 'unknown',
+                requests: 0,
+                domains: new Set()
+            });
+        }
+        const group = groups.get(key);
+        group.requests++;
+        group.domains.add(hostname);
+    });
+    const thirdParties = [...groups.values()]
+        .map(group => ({ ...group, domains: [...group.domains] }))
+        .sort((a, b) => b.requests - a.requests);
+
+    // Analytics and marketing tags recognised by the technology fingerprints (globals, cookies, scripts)
+    const technologies = await detectTechnologies(page, { response, fingerprints });
+
+    return {
+        cookies,
+        tracking_cookies: cookies.filter(cookie => TRACKING_CATEGORIES.includes(cookie.category)).map(cookie => cookie.name),
+        third_party_requests: thirdParties.reduce((sum, group) => sum + group.requests, 0),
+        third_parties: thirdParties,
+        trackers: thirdParties.filter(group => TRACKING_CATEGORIES.includes(group.category)).map(group => group.entity),
+        tracking_technologies: [...technologies.analytics, ...technologies.marketing_tools]
+    };
+}
+
+function buildReport(before, after, consent) {
+    const issues = [];
+    const addIssue = (rule, message) => issues.push({ rule, message });
+    const tracking = before.trackers.length > 0 || before.tracking_cookies.length > 0;
+
+    if (tracking && !consent.detected) {
+        addIssue('tracking-without-consent-banner', `Trackers load with no consent banner on the page: ${[...before.trackers, ...before.tracking_cookies].join(', ')}`);
+    } else {
+        if (before.trackers.length > 0) {
+            addIssue('trackers-before-consent', `Requests to ${before.trackers.join(', ')} are made before consent is given`);
+        }
+        if (before.tracking_cookies.length > 0) {
+            addIssue('tracking-cookies-before-consent', `Tracking cookies set before consent: ${before.tracking_cookies.join(', ')}`);
+        }
+    }
+
+    const added = after
+        ? {
+            trackers: after.trackers.filter(name => !before.trackers.includes(name)),
+            tracking_cookies: after.tracking_cookies.filter(name => !before.tracking_cookies.includes(name))
+        }
+        : null;
+    if (added && consent.action_taken === 'rejected' && (added.trackers.length > 0 || added.tracking_cookies.length > 0)) {
+        addIssue('tracking-after-reject', `Tracking starts even after consent is rejected: ${[...added.trackers, ...added.tracking_cookies].join(', ')}`);
+    }
+
+    const penalties = {
+        'tracking-without-consent-banner': 5,
+        'trackers-before-consent': 3,
+        'tracking-cookies-before-consent': 2,
+        'tracking-after-reject': 4
+    };
+
+    return {
+        consent_banner: {
+            detected: consent.detected,
+            cmp: consent.cmp,
+            action_taken: consent.action_taken
+        },
+        before_consent: before,
+        after_consent: after,
+        added_after_consent: added,
+        tracking_before_consent: tracking,
+        issues,
+        privacy_score: Math.max(1, 10 - issues.reduce((sum, issue) => sum + penalties[issue.rule], 0))
+    };
+}
+
+function toPlaywrightProxy(proxyUrl) {
+    const { protocol, host, username, password } = new URL(proxyUrl);
+    return {
+        server: `${protocol}//${host}`,
+        username: decodeURIComponent(username),
+        password: decodeURIComponent(password)
+    };
+}
+
+export default { runPrivacyAudit, closePrivacyBrowser };
@@ -0,0 +1,169 @@
+// Readability - Visible-text readability formulas and content language detection
+// Uses each language's own Flesch adaptation where one exists, English Flesch otherwise
+
+// Most frequent function words per language, for stopword-based detection
+const STOPWORDS = {
+    en: ['the', 'and', 'of', 'to', 'a', 'in', 'is', 'that', 'for', 'it', 'with', 'as', 'was', 'on', 'are', 'you', 'this', 'be', 'at', 'by', 'not', 'or', 'have', 'from', 'your', 'we', 'can', 'an', 'our', 'will'],
+    de: ['der', 'die', 'und', 'in', 'den', 'von', 'zu', 'das', 'mit', 'sich', 'des', 'auf', 'für', 'ist', 'im', 'dem', 'nicht', 'ein', 'eine', 'als', 'auch', 'es', 'an', 'werden', 'aus', 'er', 'hat', 'dass', 'sie', 'nach', 'wir', 'ihre', 'oder', 'bei'],
+    fr: ['le', 'de', 'la', 'et', 'les', 'des', 'en', 'un', 'du', 'une', 'que', 'est', 'pour', 'qui', 'dans', 'par', 'plus', 'pas', 'au', 'sur', 'ne', 'se', 'ce', 'il', 'sont', 'vous', 'nous', 'avec', 'aux', 'votre'],
+    es: ['de', 'la', 'que', 'el', 'en', 'y', 'los', 'del', 'se', 'las', 'por', 'un', 'para', 'con', 'no', 'una', 'su', 'al', 'es', 'lo', 'como', 'más', 'pero', 'sus', 'le', 'ya', 'o', 'este', 'sí', 'nuestro'],
+    it: ['di', 'e', 'il', 'la', 'che', 'in', 'a', 'per', 'un', 'è', 'del', 'non', 'una', 'con', 'i', 'le', 'si', 'da', 'della', 'al', 'sono', 'come', 'anche', 'più', 'gli', 'nel', 'alla', 'dei', 'ma', 'questo'],
+    nl: ['de', 'en', 'van', 'het', 'een', 'in', 'is', 'dat', 'op', 'te', 'zijn', 'voor', 'met', 'die', 'niet', 'aan', 'er', 'om', 'ook', 'als', 'bij', 'of', 'wordt', 'uw', 'door', 'naar', 'kan', 'wij', 'je', 'deze'],
+    pt: ['de', 'a', 'o', 'que', 'e', 'do', 'da', 'em', 'um', 'para', 'é', 'com', 'não', 'uma', 'os', 'no', 'se', 'na', 'por', 'mais', 'as', 'dos', 'como', 'mas', 'ao', 'das', 'seu', 'sua', 'você', 'nossa']
+};
+
+// Reading ease formulas (ASL = words per sentence, ASW = syllables per word). Higher is easier.
+const READING_EASE = {
+    en: { name: 'Flesch Reading Ease', score: (asl, asw) => 206.835 - 1.015 * asl - 84.6 * asw },
+    de: { name: 'Flesch-Amstad', score: (asl, asw) => 180 - asl - 58.5 * asw },
+    fr: { name: 'Kandel-Moles', score: (asl, asw) => 207 - 1.015 * asl - 73.6 * asw },
+    es: { name: 'Fernández Huerta', score: (asl, asw) => 206.84 - 60 * asw - 102 / asl },
+    it: { name: 'Franchina-Vacca', score: (asl, asw) => 206 - 65 * asw - asl },
+    nl: { name: 'Flesch-Douma', score: (asl, asw) => 206.84 - 0.93 * asl - 77 * asw },
+    pt: { name: 'Flesch (Martins)', score: (asl, asw) => 248.835 - 1.015 * asl - 84.6 * asw }
+};
+
+const MIN_WORDS_FOR_DETECTION = 50;
+const MIN_PARAGRAPH_WORDS = 20;
+
+/**
+ * Measure readability of the page's visible text and detect its language
+ * @param {Page} page - Playwright page with DOM helpers installed
+ * @returns {Promise<Object>} Visible word/paragraph counts and a `readability` report
+ */
+export async function analyzeReadability(page) {
+    const { text, paragraphs, htmlLang } = await page.evaluate(() => {
+        const dom = window.__uxAuditorDom;
+        const blocks = [...document.querySelectorAll('p, li, blockquote, dd, figcaption')]
+            .filter(el => dom.isVisible(el) && !el.querySelector('p, li, blockquote'))
+            .map(el => ({ selector: dom.cssPath(el), text: (el.innerText || '').replace(/\s+/g, ' ').trim() }))
+            .filter(block => block.text.length > 0);
+
+        return {
+            // innerText leaves out script/style contents and hidden elements
+            text: document.body ? document.body.innerText : '',
+            paragraphs: blocks,
+            htmlLang: document.documentElement.getAttribute('lang')
+        };
+    });
+
+    const words = tokenize(text);
+    const detected = detectLanguage(words);
+    const declared = htmlLang ? htmlLang.split('-')[0].toLowerCase() : null;
+    const language = detected.language !== 'undetermined' ? detected.language : declared;
+    const formulaLanguage = READING_EASE[language] ? language : 'en';
+
+    const prose = paragraphs.filter(paragraph => tokenize(paragraph.text).length >= MIN_PARAGRAPH_WORDS);
+    // Navigation and button labels are not prose - measure paragraphs when the page has them
+    const overall = measureText(prose.length > 0 ? prose.map(paragraph => paragraph.text).join('\n') : text, formulaLanguage);
+
+    const hardest = prose
+        .map(paragraph => {
+            const metrics = measureText(paragraph.text, formulaLanguage);
+            return {
+                selector: paragraph.selector,
+                text: paragraph.text.length > 160 ? `${paragraph.text.slice(0, 159)}…` : paragraph.text,
+                reading_ease: metrics.reading_ease,
+                avg_sentence_length: metrics.avg_sentence_length,
+                words: metrics.words
+            };
+        })
+        .sort((a, b) => a.reading_ease - b.reading_ease)
+        .slice(0, 5);
+
+    return {
+        word_count: words.length,
+        paragraph_count: prose.length,
+        readability: {
+            language_detected: detected.language,
+            language_confidence: detected.confidence,
+            html_lang: htmlLang,
+            lang_mismatch: Boolean(declared && detected.language !== 'undetermined' && declared !== detected.language),
+            formula: READING_EASE[formulaLanguage].name + (formulaLanguage !== language ? ' (English fallback)' : ''),
+            reading_ease: overall.reading_ease,
+            grade_level: formulaLanguage === 'en' ? overall.fk_grade : formulaLanguage === 'de' ? overall.wiener_grade : null,
+            grade_formula: formulaLanguage === 'en' ? 'Flesch-Kincaid' : formulaLanguage === 'de' ? 'Wiener Sachtextformel' : null,
+            avg_sentence_length: overall.avg_sentence_length,
+            avg_syllables_per_word: overall.avg_syllables_per_word,
+            avg_paragraph_length: prose.length > 0
+                ? Math.round(prose.reduce((sum, paragraph) => sum + tokenize(paragraph.text).length, 0) / prose.length)
+                : 0,
+            sentence_count: overall.sentences,
+            hardest_paragraphs: hardest
+        }
+    };
+}
+
+/**
+ * Convert a reading ease value (0-100+) to the 1-10 scale used by the other scores
+ * @param {number|null} readingEase
+ * @returns {number}
+ */
+export function readingEaseToScore(readingEase) {
+    if (readingEase === null || readingEase === undefined) return 0;
+    // 70+ ("fairly easy") scores 10, 0 ("very confusing") scores 1
+    return Math.max(1, Math.min(10, Math.round(1 + readingEase * 9 / 70)));
+}
+
+function tokenize(text) {
+    return text.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || [];
+}
+
+function detectLanguage(words) {
+    if (words.length < MIN_WORDS_FOR_DETECTION) return { language: 'undetermined', confidence: 0 };
+
+    const lower = words.map(word => word.toLowerCase());
+    const hits = Object.entries(STOPWORDS).map(([language, list]) => {
+        const set = new Set(list);
+        return [language, lower.filter(word => set.has(word)).length];
+    }).sort((a, b) => b[1] - a[1]);
+
+    const total = hits.reduce((sum, [, count]) => sum + count, 0);
+    if (hits[0][1] === 0 || hits[0][1] / words.length < 0.05) return { language: 'undetermined', confidence: 0 };
+    return { language: hits[0][0], confidence: Math.round(hits[0][1] / total * 100) / 100 };
+}
+
+function measureText(text, language) {
+    // Sentences end at . ! ? (and CJK equivalents); line breaks end headings and list items
+    const sentences = text.split(/(?<=[.!?。！？])\s+|\n+/).filter(sentence => tokenize(sentence).length > 0);
+    const words = tokenize(text);
+    if (words.length === 0 || sentences.length === 0) {
+        return { words: 0, sentences: 0, reading_ease: null, fk_grade: null, wiener_grade: null, avg_sentence_length: 0, avg_syllables_per_word: 0 };
+    }
+
+    const syllableCounts = words.map(word => countSyllables(word, language));
+    const syllables = syllableCounts.reduce((sum, count) => sum + count, 0);
+    const asl = words.length / sentences.length;
+    const asw = syllables / words.length;
+    const round = (value) => Math.round(value * 10) / 10;
+
+    // Wiener Sachtextformel 1: polysyllables, sentence length, long words and monosyllables (in %)
+    const percent = (count) => count / words.length * 100;
+    const ms = percent(syllableCounts.filter(count => count >= 3).length);
+    const iw = percent(words.filter(word => word.length > 6).length);
+    const es = percent(syllableCounts.filter(count => count === 1).length);
+
+    return {
+        words: words.length,
+        sentences: sentences.length,
+        reading_ease: round(READING_EASE[language].score(asl, asw)),
+        fk_grade: round(0.39 * asl + 11.8 * asw - 15.59),
+        wiener_grade: round(0.1935 * ms + 0.1672 * asl + 0.1297 * iw - 0.0327 * es - 0.875),
+        avg_sentence_length: round(asl),
+        avg_syllables_per_word: Math.round(asw * 100) / 100
+    };
+}
+
+// Vowel-group heuristic; English drops silent endings first
+function countSyllables(word, language) {
+    let lower = word.toLowerCase().replace(/[^\p{L}]/gu, '');
+    if (!lower) return 1;
+    if (language === 'en') {
+        if (lower.length <= 3) return 1;
+        lower = lower.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+        return Math.max(1, (lower.match(/[aeiouy]{1,2}/g) || []).length);
+    }
+    return Math.max(1, (lower.match(/[aeiouyäöüáéíóúàèìòùâêîôûãõœæ]+/g) || []).length);
+}
+
+export default { analyzeReadability, readingEaseToScore };
@@ -0,0 +1,147 @@
+// Reliability Monitor - Console errors, uncaught exceptions, failed requests and broken images
+// Attached in preNavigationHooks next to the network recorder; summarized after the interaction window
+
+const MAX_MESSAGE_LENGTH = 300;
+const MAX_LISTED = 20;
+
+// Cancelled requests (navigation, media range probing) are not failures
+const IGNORED_FAILURES = /net::ERR_ABORTED/;
+
+const monitors = new WeakMap();
+
+/**
+ * Start capturing errors on a page (call before navigation)
+ * @param {Page} page - Playwright page
+ * @returns {Object} Monitor with `console`, `exceptions` and `failedRequests`
+ */
+export function attachReliabilityMonitor(page) {
+    const monitor = {
+        console: [],
+        exceptions: [],
+        failedRequests: []
+    };
+
+    page.on('console', (message) => {
+        const type = message.type();
+        if (type !== 'error' && type !== 'warning') return;
+        const text = message.text();
+        // Chromium logs every 4xx/5xx subresource as a console error - those are counted as failed requests
+        if (/^Failed to load resource/.test(text)) return;
+        const location = message.location();
+        monitor.console.push({
+            type,
+            text,
+            source: location && location.url ? `${location.url}:${location.lineNumber + 1}` : null
+        });
+    });
+
+    page.on('pageerror', (error) => {
+        const frame = (error.stack || '').split('\n').find(line => /^\s+at /.test(line));
+        monitor.exceptions.push({
+            text: `${error.name || 'Error'}: ${error.message}`,
+            source: frame ? frame.trim().replace(/^at /, '') : null
+        });
+    });
+
+    page.on('requestfailed', (request) => {
+        const failure = request.failure()?.errorText || 'Request failed';
+        if (IGNORED_FAILURES.test(failure)) return;
+        monitor.failedRequests.push({ url: request.url(), type: request.resourceType(), status: null, error: failure });
+    });
+
+    page.on('response', (response) => {
+        const request = response.request();
+        // The audited document itself is covered by the crawl status, not by this report
+        if (response.status() < 400 || (request.isNavigationRequest() && request.frame() === page.mainFrame())) return;
+        monitor.failedRequests.push({ url: response.url(), type: request.resourceType(), status: response.status(), error: null });
+    });
+
+    monitors.set(page, monitor);
+    return monitor;
+}
+
+/**
+ * Get the monitor attached to a page, if any
+ * @param {Page} page - Playwright page
+ * @returns {Object|undefined}
+ */
+export function getReliabilityMonitor(page) {
+    return monitors.get(page);
+}
+
+/**
+ * Build the reliability report from everything captured so far, plus a broken-image scan
+ * @param {Page} page - Playwright page with DOM helpers installed
+ * @param {Object} monitor - Monitor from attachReliabilityMonitor
+ * @returns {Promise<Object>} Counts, deduplicated messages and a 1-10 `reliability_score`
+ */
+export async function summarizeReliability(page, monitor) {
+    const images = await page.evaluate(() => {
+        const dom = window.__uxAuditorDom;
+        // Only images that finished loading and still have no pixels; lazy images not yet requested are skipped
+        return [...document.images]
+            .filter(img => img.complete && img.naturalWidth === 0 && (img.currentSrc || img.src))
+            .map(img => ({ src: img.currentSrc || img.src, alt: img.getAttribute('alt'), selector: dom.cssPath(img) }));
+    }).catch(() => []);
+
+    // SVGs without intrinsic dimensions also report naturalWidth 0 - only count those that failed to load
+    const failedUrls = new Set(monitor.failedRequests.map(item => item.url));
+    const brokenImages = images.filter(image => !/\.svg(?:[?#]|$)/i.test(image.src) || failedUrls.has(image.src));
+
+    const pageOrigin = new URL(page.url()).origin;
+    const failedRequests = dedupe(monitor.failedRequests, item => item.url).map(item => ({
+        ...item,
+        first_party: safeOrigin(item.url) === pageOrigin
+    }));
+    const consoleErrors = dedupe(monitor.console.filter(item => item.type === 'error'), item => item.text);
+    const consoleWarnings = dedupe(monitor.console.filter(item => item.type === 'warning'), item => item.text);
+    const exceptions = dedupe(monitor.exceptions, item => item.text);
+
+    // Unique problems cost points, capped per kind so one noisy source cannot zero the score
+    const penalty = Math.min(4, exceptions.length * 2) +
+        Math.min(2, consoleErrors.length * 0.5) +
+        Math.min(3, failedRequests.length) +
+        Math.min(2, brokenImages.length * 0.5);
+
+    return {
+        reliability_score: Math.max(1, Math.round(10 - penalty)),
+        console_errors: consoleErrors.length,
+        console_warnings: consoleWarnings.length,
+        uncaught_exceptions: exceptions.length,
+        failed_requests: failedRequests.length,
+        broken_images: brokenImages.length,
+        errors: consoleErrors.slice(0, MAX_LISTED),
+        warnings: consoleWarnings.slice(0, MAX_LISTED),
+        exceptions: exceptions.slice(0, MAX_LISTED),
+        failed_request_list: failedRequests.slice(0, MAX_LISTED),
+        broken_image_list: brokenImages.slice(0, MAX_LISTED)
+    };
+}
+
+// Collapse repeats into one entry with an occurrence count
+function dedupe(items, keyOf) {
+    const unique = new Map();
+    items.forEach(item => {
+        const key = keyOf(item);
+        if (unique.has(key)) {
+            unique.get(key).count++;
+        } else {
+            unique.set(key, { ...item, ...(item.text ? { text: truncate(item.text) } : {}), count: 1 });
+        }
+    });
+    return [...unique.values()].sort((a, b) => b.count - a.count);
+}
+
+function truncate(text) {
+    return text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH - 1)}…` : text;
+}
+
+function safeOrigin(url) {
+    try {
+        return new URL(url).origin;
+    } catch (error) {
+        return null;
+    }
+}
+
+export default { attachReliabilityMonitor, getReliabilityMonitor, summarizeReliability };
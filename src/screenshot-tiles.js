@@ -0,0 +1,125 @@
+// Screenshot Tiles - Viewport, full-page and scroll-section capture for AI analysis
+// Splits long pages into tiles sized for vision models and merges the per-tile findings
+
+// Vision models downscale images beyond ~2000px, so taller tiles lose detail
+const MAX_TILE_HEIGHT = 2000;
+const SCREENSHOT_TIMEOUT_MS = 30000;
+const LAZY_LOAD_WAIT_MS = 300;
+
+/**
+ * Capture the page as one or more screenshot tiles
+ * @param {Page} page - Playwright page
+ * @param {Object} options
+ * @param {string} options.captureMode - 'viewport', 'full-page' or 'sections'
+ * @param {number} options.sections - Number of viewport-high sections in 'sections' mode
+ * @param {number} options.maxTiles - Upper bound on tiles in 'full-page' mode
+ * @returns {Promise<Object>} { tiles: [{ section, top, height, buffer }], pageHeight, truncated }
+ */
+export async function captureScreenshotTiles(page, { captureMode = 'viewport', sections = 3, maxTiles = 6 } = {}) {
+    const { width, height: viewportHeight } = page.viewportSize();
+
+    if (captureMode === 'viewport') {
+        const buffer = await page.screenshot({
+            type: 'png',
+            fullPage: false, // Only above the fold
+            scale: 'css', // Same pixel size on every device scale factor
+            timeout: SCREENSHOT_TIMEOUT_MS
+        });
+        return { tiles: [{ section: 1, top: 0, height: viewportHeight, buffer }], pageHeight: null, truncated: false };
+    }
+
+    const pageHeight = await scrollThroughPage(page, viewportHeight);
+
+    let tileHeight;
+    let tileLimit;
+    if (captureMode === 'sections') {
+        tileHeight = viewportHeight;
+        tileLimit = sections;
+    } else {
+        // Roughly square-ish tiles on wide screens, at least one screen tall on phones
+        tileHeight = Math.max(viewportHeight, Math.min(MAX_TILE_HEIGHT, width * 2));
+        tileLimit = maxTiles;
+    }
+
+    const neededTiles = Math.ceil(pageHeight / tileHeight);
+    const tileCount = Math.max(1, Math.min(tileLimit, neededTiles));
+    const tiles = [];
+
+    for (let i = 0; i < tileCount; i++) {
+        const top = i * tileHeight;
+        const height = Math.min(tileHeight, pageHeight - top);
+        const buffer = await page.screenshot({
+            type: 'png',
+            fullPage: true,
+            clip: { x: 0, y: top, width, height },
+            scale: 'css',
+            timeout: SCREENSHOT_TIMEOUT_MS
+        });
+        tiles.push({ section: i + 1, top, height, buffer });
+    }
+
+    return { tiles, pageHeight, truncated: captureMode === 'full-page' && neededTiles > tileCount };
+}
+
+/**
+ * Combine per-tile AI results into one result, noting which section each finding came from
+ * @param {Array} tileAnalyses - [{ tile, result }] in page order
+ * @returns {Object} Merged AI result with `section_findings`
+ */
+export function mergeTileAnalyses(tileAnalyses) {
+    if (tileAnalyses.length === 1) {
+        return tileAnalyses[0].result;
+    }
+
+    const label = ({ tile }) => `Section ${tile.section} (${tile.top}-${tile.top + tile.height}px)`;
+    const scored = tileAnalyses.filter(({ result }) => typeof result.score === 'number');
+    const score = scored.length > 0
+        ? Math.round(scored.reduce((sum, { result }) => sum + result.score, 0) / scored.length * 10) / 10
+        : 0;
+
+    const tagged = (field) => tileAnalyses.flatMap(analysis =>
+        (analysis.result[field] || []).map(item => `[${label(analysis)}] ${item}`));
+
+    return {
+        score,
+        summary: tileAnalyses
+            .filter(({ result }) => result.summary)
+            .map(analysis => `${label(analysis)}: ${analysis.result.summary}`)
+            .join(' '),
+        color_palette: [...new Set(tileAnalyses.flatMap(({ result }) => result.color_palette || []))],
+        design_flaws: tagged('design_flaws'),
+        positive_aspects: tagged('positive_aspects'),
+        recommendations: tagged('recommendations'),
+        section_findings: tileAnalyses.map(analysis => ({
+            section: analysis.tile.section,
+            top: analysis.tile.top,
+            height: analysis.tile.height,
+            score: analysis.result.score ?? null,
+            summary: analysis.result.summary || null,
+            design_flaws: analysis.result.design_flaws || [],
+            positive_aspects: analysis.result.positive_aspects || [],
+            recommendations: analysis.result.recommendations || []
+        }))
+    };
+}
+
+// Scroll down once to trigger lazy-loaded content, then return to the top
+async function scrollThroughPage(page, viewportHeight) {
+    const pageHeight = () => page.evaluate(() => Math.max(
+        document.documentElement.scrollHeight,
+        document.body ? document.body.scrollHeight : 0
+    ));
+
+    let y = 0;
+    while (y < await pageHeight() && y < MAX_TILE_HEIGHT * 20) {
+        y += viewportHeight;
+        await page.evaluate((top) => window.scrollTo(0, top), y);
+        await page.waitForTimeout(LAZY_LOAD_WAIT_MS);
+    }
+
+    await page.evaluate(() => window.scrollTo(0, 0));
+    await page.waitForTimeout(LAZY_LOAD_WAIT_MS);
+    return pageHeight();
+}
+
+export default { captureScreenshotTiles, mergeTileAnalyses };
@@ -0,0 +1,314 @@
+// Security Analyzer - HTTP security headers, cookie flags, TLS, mixed content and insecure forms
+// Inspects the main document response and the site's cookies; findings are graded high / medium / low for the security score
+
+import { registrableDomain } from './third-party-entities.js';
+
+const HSTS_MIN_MAX_AGE = 15552000; // 180 days
+const CERT_EXPIRY_WARNING_DAYS = 30;
+const UNSAFE_REFERRER_POLICIES = ['unsafe-url', 'no-referrer-when-downgrade'];
+const SESSION_COOKIE_PATTERN = /sess|sid$|^sid|auth|token|login|jwt|csrf|xsrf/i;
+const SEVERITY_PENALTY = { high: 2, medium: 1, low: 0.5 };
+
+/**
+ * Audit the security of the loaded page
+ * @param {Page} page - Playwright page with DOM helpers installed
+ * @param {Object} options
+ * @param {Response|null} options.response - Main document response from page.goto
+ * @param {Array<Object>} options.networkEntries - Entries from the page's network recorder
+ * @returns {Promise<Object>} Header, cookie, TLS, mixed-content and form findings with a 1-10 `security_score`
+ */
+export async function analyzeSecurity(page, { response = null, networkEntries = [] } = {}) {
+    const pageUrl = page.url();
+    const https = pageUrl.startsWith('https:');
+    const headers = response ? await response.allHeaders().catch(() => ({})) : {};
+    const setCookies = response ? await response.headerValues('set-cookie').catch(() => []) : [];
+    const tlsDetails = response && https ? await response.securityDetails().catch(() => null) : null;
+
+    const issues = [];
+    const addIssue = (rule, severity, message) => issues.push({ rule, severity, message });
+
+    const pageData = await page.evaluate(() => {
+        const dom = window.__uxAuditorDom;
+        const insecure = (url) => /^http:\/\//i.test(url || '');
+        // Scripts, styles and frames are blocked by the browser; media is upgraded or shown with a warning
+        const sources = [
+            ['script[src]', 'src', 'active'],
+            ['link[rel~="stylesheet"][href]', 'href', 'active'],
+            ['iframe[src]', 'src', 'active'],
+            ['object[data]', 'data', 'active'],
+            ['embed[src]', 'src', 'active'],
+            ['img[src]', 'src', 'passive'],
+            ['video[src], audio[src], source[src]', 'src', 'passive'],
+            ['video[poster]', 'poster', 'passive']
+        ];
+
+        const mixed = [];
+        sources.forEach(([selector, property, kind]) => {
+            document.querySelectorAll(selector).forEach(el => {
+                const url = el[property];
+                if (insecure(url)) mixed.push({ url, kind, element: el.tagName.toLowerCase(), selector: dom.cssPath(el) });
+            });
+        });
+
+        const forms = [...document.querySelectorAll('form')].map(form => ({
+            selector: dom.cssPath(form),
+            action: form.action,
+            method: (form.getAttribute('method') || 'get').toLowerCase(),
+            has_password: Boolean(form.querySelector('input[type="password"]')),
+            has_payment: Boolean(form.querySelector('[autocomplete^="cc-"], input[name*="card" i]')),
+            submitter_actions: [...form.querySelectorAll('[formaction]')].map(el => el.formAction)
+        }));
+
+        return {
+            mixed,
+            forms,
+            metaCsp: document.querySelector('meta[http-equiv="Content-Security-Policy" i]')?.getAttribute('content') || null
+        };
+    });
+
+    // Content-Security-Policy (header, report-only header or <meta>)
+    const cspValue = headers['content-security-policy'] || pageData.metaCsp;
+    const csp = {
+        present: Boolean(cspValue),
+        source: headers['content-security-policy'] ? 'header' : pageData.metaCsp ? 'meta' : null,
+        report_only: !cspValue && Boolean(headers['content-security-policy-report-only']),
+        directives: parseCsp(cspValue || headers['content-security-policy-report-only'] || ''),
+        issues: []
+    };
+    if (!csp.present) {
+        addIssue('csp-missing', 'medium', csp.report_only
+            ? 'Content-Security-Policy is only sent in report-only mode and does not block anything'
+            : 'No Content-Security-Policy - injected scripts run unrestricted');
+    } else {
+        checkCsp(csp);
+        csp.issues.forEach(issue => addIssue(issue.rule, issue.severity, issue.message));
+    }
+
+    // Strict-Transport-Security
+    const hstsValue = headers['strict-transport-security'] || null;
+    const maxAge = hstsValue ? parseInt((hstsValue.match(/max-age\s*=\s*"?(\d+)/i) || [])[1], 10) : null;
+    const hsts = {
+        present: Boolean(hstsValue),
+        max_age: Number.isFinite(maxAge) ? maxAge : null,
+        include_subdomains: /includesubdomains/i.test(hstsValue || ''),
+        preload: /preload/i.test(hstsValue || '')
+    };
+    if (https && !hsts.present) {
+        addIssue('hsts-missing', 'medium', 'No Strict-Transport-Security header - first visits can be downgraded to HTTP');
+    } else if (https && (hsts.max_age === null || hsts.max_age < HSTS_MIN_MAX_AGE)) {
+        addIssue('hsts-short-max-age', 'low', `HSTS max-age is ${hsts.max_age ?? 'missing'} (at least ${HSTS_MIN_MAX_AGE} seconds recommended)`);
+    }
+
+    // X-Content-Type-Options
+    const contentTypeOptions = headers['x-content-type-options'] || null;
+    if (!contentTypeOptions || contentTypeOptions.trim().toLowerCase() !== 'nosniff') {
+        addIssue('x-content-type-options-missing', 'low', 'X-Content-Type-Options: nosniff is not set');
+    }
+
+    // Referrer-Policy (browsers default to strict-origin-when-cross-origin when absent)
+    const referrerPolicy = headers['referrer-policy'] || null;
+    const effectiveReferrerPolicy = referrerPolicy ? referrerPolicy.split(',').pop().trim().toLowerCase() : null;
+    if (!referrerPolicy) {
+        addIssue('referrer-policy-missing', 'low', 'No Referrer-Policy header - relying on the browser default');
+    } else if (UNSAFE_REFERRER_POLICIES.includes(effectiveReferrerPolicy)) {
+        addIssue('referrer-policy-unsafe', 'medium', `Referrer-Policy "${effectiveReferrerPolicy}" leaks full URLs to other sites`);
+    }
+
+    // Permissions-Policy
+    const permissionsPolicy = headers['permissions-policy'] || null;
+    if (!permissionsPolicy) {
+        addIssue('permissions-policy-missing', 'low', 'No Permissions-Policy header limiting camera, microphone, geolocation and similar features');
+    }
+
+    // Clickjacking: X-Frame-Options or CSP frame-ancestors (meta CSP cannot set frame-ancestors)
+    const frameOptions = headers['x-frame-options'] || null;
+    const frameAncestors = csp.source === 'header' ? csp.directives['frame-ancestors'] || null : null;
+    const frameProtection = {
+        x_frame_options: frameOptions,
+        csp_frame_ancestors: frameAncestors ? frameAncestors.join(' ') : null,
+        protected: Boolean(frameAncestors && !frameAncestors.includes('*')) || /^(deny|sameorigin)$/i.test((frameOptions || '').trim())
+    };
+    if (!frameProtection.protected) {
+        addIssue('clickjacking', 'medium', 'Page can be framed by any site (no X-Frame-Options or CSP frame-ancestors)');
+    }
+
+    // Cookies of the page's site held by the browser, plus any the main document set that the browser rejected
+    const cookies = await collectSiteCookies(page, pageUrl, setCookies.map(parseSetCookie).filter(Boolean));
+    cookies.forEach(cookie => {
+        const sensitive = SESSION_COOKIE_PATTERN.test(cookie.name);
+        if (https && !cookie.secure) {
+            cookie.issues.push('not-secure');
+            addIssue('cookie-not-secure', sensitive ? 'high' : 'medium', `Cookie "${cookie.name}" is missing the Secure flag`);
+        }
+        if (!cookie.http_only) {
+            cookie.issues.push('not-httponly');
+            // Only worth flagging for cookies scripts have no reason to read
+            if (sensitive) addIssue('cookie-not-httponly', 'high', `Session cookie "${cookie.name}" is readable from JavaScript (no HttpOnly)`);
+        }
+        // The browser reports a missing SameSite as Lax, so only Set-Cookie headers can show it is absent
+        if (cookie.source === 'set-cookie' && !cookie.same_site) {
+            cookie.issues.push('no-samesite');
+            addIssue('cookie-no-samesite', 'low', `Cookie "${cookie.name}" has no SameSite attribute`);
+        } else if (cookie.same_site === 'none' && !cookie.secure) {
+            cookie.issues.push('samesite-none-without-secure');
+            addIssue('cookie-samesite-none-insecure', 'medium', `Cookie "${cookie.name}" uses SameSite=None without Secure and is rejected by browsers`);
+        }
+    });
+
+    // TLS certificate
+    let tls = null;
+    if (tlsDetails) {
+        const validTo = tlsDetails.validTo ? new Date(tlsDetails.validTo * 1000) : null;
+        tls = {
+            protocol: tlsDetails.protocol || null,
+            issuer: tlsDetails.issuer || null,
+            subject: tlsDetails.subjectName || null,
+            valid_to: validTo ? validTo.toISOString() : null,
+            days_until_expiry: validTo ? Math.floor((validTo.getTime() - Date.now()) / 86400000) : null
+        };
+        if (tls.days_until_expiry !== null && tls.days_until_expiry < CERT_EXPIRY_WARNING_DAYS) {
+            addIssue('certificate-expiring', tls.days_until_expiry < 0 ? 'high' : 'medium',
+                tls.days_until_expiry < 0 ? 'TLS certificate has expired' : `TLS certificate expires in ${tls.days_until_expiry} days`);
+        }
+        if (/^TLS 1\.[01]$/i.test(tls.protocol || '')) {
+            addIssue('outdated-tls', 'medium', `Connection negotiated ${tls.protocol}; TLS 1.2 or newer is expected`);
+        }
+    }
+    if (!https) {
+        addIssue('no-https', 'high', 'Page is served over plain HTTP');
+    }
+
+    // Mixed content: http:// references in the markup plus anything actually fetched over http://
+    const mixedContent = { active: [], passive: [], loaded_over_http: [] };
+    if (https) {
+        pageData.mixed.forEach(item => mixedContent[item.kind].push(item));
+        mixedContent.loaded_over_http = [...new Set(networkEntries
+            .filter(entry => entry.url.startsWith('http:'))
+            .map(entry => entry.url))].slice(0, 50);
+        if (mixedContent.active.length > 0) {
+            addIssue('mixed-content-active', 'high', `${mixedContent.active.length} script/style/frame URLs use http:// and are blocked by browsers`);
+        }
+        if (mixedContent.passive.length > 0 || mixedContent.loaded_over_http.length > 0) {
+            addIssue('mixed-content-passive', 'medium', 'Images or media are requested over http:// - browsers show the page as not fully secure');
+        }
+        mixedContent.active = mixedContent.active.slice(0, 50);
+        mixedContent.passive = mixedContent.passive.slice(0, 50);
+    }
+
+    // Forms that send data over plain HTTP
+    const insecureForms = [];
+    pageData.forms.forEach(form => {
+        const targets = [form.action, ...form.submitter_actions].filter(action => /^http:\/\//i.test(action));
+        const sensitive = form.has_password || form.has_payment;
+        if (targets.length > 0) {
+            insecureForms.push({ selector: form.selector, action: targets[0], sensitive });
+            addIssue('insecure-form-action', sensitive || https ? 'high' : 'medium', `Form ${form.selector} submits to ${targets[0]}`);
+        } else if (!https && sensitive) {
+            insecureForms.push({ selector: form.selector, action: form.action, sensitive });
+        }
+    });
+
+    const penalty = issues.reduce((sum, issue) => sum + SEVERITY_PENALTY[issue.severity], 0);
+
+    return {
+        security_score: Math.max(1, Math.round(10 - penalty)),
+        https,
+        tls,
+        headers: {
+            content_security_policy: csp,
+            strict_transport_security: hsts,
+            x_content_type_options: contentTypeOptions,
+            referrer_policy: referrerPolicy,
+            permissions_policy: permissionsPolicy,
+            frame_protection: frameProtection
+        },
+        cookies,
+        mixed_content: mixedContent,
+        insecure_forms: insecureForms,
+        issues
+    };
+}
+
+function parseCsp(value) {
+    const directives = {};
+    value.split(';').forEach(part => {
+        const [name, ...sources] = part.trim().split(/\s+/);
+        // The first occurrence of a directive wins
+        if (name && !(name.toLowerCase() in directives)) directives[name.toLowerCase()] = sources;
+    });
+    return directives;
+}
+
+function checkCsp(csp) {
+    const scriptSources = csp.directives['script-src'] || csp.directives['default-src'];
+    const add = (rule, severity, message) => csp.issues.push({ rule, severity, message });
+
+    if (!scriptSources) {
+        add('csp-no-script-src', 'medium', 'CSP has neither script-src nor default-src, so scripts are not restricted');
+        return;
+    }
+    // 'unsafe-inline' is ignored when a nonce or hash is present
+    const hasNonceOrHash = scriptSources.some(source => /^'(nonce|sha(256|384|512))-/i.test(source));
+    if (scriptSources.includes("'unsafe-inline'") && !hasNonceOrHash && !scriptSources.includes("'strict-dynamic'")) {
+        add('csp-unsafe-inline', 'medium', "CSP allows 'unsafe-inline' scripts, which defeats XSS protection");
+    }
+    if (scriptSources.includes("'unsafe-eval'")) {
+        add('csp-unsafe-eval', 'low', "CSP allows 'unsafe-eval'");
+    }
+    if (scriptSources.some(source => ['*', 'http:', 'https:', 'data:'].includes(source))) {
+        add('csp-wildcard-source', 'medium', 'CSP script sources include a wildcard or scheme-only source');
+    }
+    if (!csp.directives['object-src'] && !csp.directives['default-src']) {
+        add('csp-no-object-src', 'low', 'CSP does not restrict plugins (object-src)');
+    }
+}
+
+async function collectSiteCookies(page, pageUrl, headerCookies) {
+    const site = registrableDomain(new URL(pageUrl).hostname);
+    const stored = await page.context().cookies().catch(() => []);
+    const cookies = stored
+        .filter(cookie => registrableDomain(cookie.domain.replace(/^\./, '')) === site)
+        .map(cookie => {
+            // Set-Cookie attributes are exact; browser cookies cover subresources and document.cookie too
+            const header = headerCookies.find(candidate => candidate.name === cookie.name);
+            return header || {
+                name: cookie.name,
+                domain: cookie.domain,
+                path: cookie.path,
+                secure: cookie.secure,
+                http_only: cookie.httpOnly,
+                same_site: cookie.sameSite ? cookie.sameSite.toLowerCase() : null,
+                session: cookie.expires === -1,
+                source: 'browser',
+                issues: []
+            };
+        });
+    headerCookies.forEach(header => {
+        if (!cookies.includes(header)) cookies.push(header);
+    });
+    return cookies;
+}
+
+function parseSetCookie(header) {
+    const [pair, ...attributes] = header.split(';').map(part => part.trim());
+    const separator = pair.indexOf('=');
+    if (separator <= 0) return null;
+
+    const attributeMap = Object.fromEntries(attributes.map(attribute => {
+        const [key, ...value] = attribute.split('=');
+        return [key.trim().toLowerCase(), value.join('=').trim()];
+    }));
+    return {
+        name: pair.slice(0, separator),
+        domain: attributeMap.domain || null,
+        path: attributeMap.path || null,
+        secure: 'secure' in attributeMap,
+        http_only: 'httponly' in attributeMap,
+        same_site: attributeMap.samesite ? attributeMap.samesite.toLowerCase() : null,
+        session: !('expires' in attributeMap) && !('max-age' in attributeMap),
+        source: 'set-cookie',
+        issues: []
+    };
+}
+
+export default { analyzeSecurity };
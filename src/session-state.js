@@ -0,0 +1,200 @@
+// Session State - Authenticated audits for pages behind a login
+// Builds one Playwright storage state (cookies + localStorage) and applies it to every page
+
+import { chromium } from 'playwright';
+
+const LOGIN_TIMEOUT_MS = 30000;
+
+// Browser-extension cookie exports use different sameSite names than Playwright
+const SAME_SITE_VALUES = {
+    no_restriction: 'None',
+    none: 'None',
+    lax: 'Lax',
+    strict: 'Strict'
+};
+
+// Contexts that already received the session state
+const preparedContexts = new WeakSet();
+
+/**
+ * Build the session state from the actor input, running the scripted login once if configured
+ * @param {Object} input - Actor input
+ * @param {Object} options
+ * @param {string} [options.proxyUrl] - Proxy used for the login browser
+ * @returns {Promise<Object|null>} Playwright storage state, or null when no auth options are set
+ */
+export async function prepareSessionState(input, { proxyUrl } = {}) {
+    const {
+        storageState,
+        cookies = [],
+        localStorageEntries = [],
+        loginUrl
+    } = input;
+
+    if (!storageState && cookies.length === 0 && localStorageEntries.length === 0 && !loginUrl) {
+        return null;
+    }
+
+    let state = { cookies: [], origins: [] };
+
+    if (storageState) {
+        try {
+            const parsed = typeof storageState === 'string' ? JSON.parse(storageState) : storageState;
+            state.cookies.push(...(parsed.cookies || []));
+            state.origins.push(...(parsed.origins || []));
+        } catch (error) {
+            throw new Error(`Invalid storage state JSON: ${error.message}`);
+        }
+    }
+
+    state.cookies.push(...cookies.map(normalizeCookie));
+
+    for (const { origin = '*', name, value } of localStorageEntries) {
+        if (!name) continue;
+        let originState = state.origins.find(o => o.origin === origin);
+        if (!originState) {
+            originState = { origin, localStorage: [] };
+            state.origins.push(originState);
+        }
+        originState.localStorage.push({ name, value: String(value ?? '') });
+    }
+
+    if (loginUrl) {
+        state = await runLoginFlow(input, state, proxyUrl);
+    }
+
+    console.log(`🔐 Session state ready: ${state.cookies.length} cookies, ${state.origins.length} localStorage origins`);
+    return state;
+}
+
+/**
+ * Inject the session state into the page's browser context (once per context)
+ * @param {Page} page - Playwright page
+ * @param {Object|null} sessionState - Storage state from prepareSessionState
+ */
+export async function applySessionState(page, sessionState) {
+    if (!sessionState) return;
+
+    const context = page.context();
+    if (preparedContexts.has(context)) return;
+    preparedContexts.add(context);
+
+    if (sessionState.cookies.length > 0) {
+        await context.addCookies(sessionState.cookies);
+    }
+
+    if (sessionState.origins.length > 0) {
+        await context.addInitScript((origins) => {
+            for (const { origin, localStorage: entries } of origins) {
+                if (origin !== '*' && origin !== window.location.origin) continue;
+                try {
+                    entries.forEach(({ name, value }) => window.localStorage.setItem(name, value));
+                } catch (e) {
+                    // Storage can be unavailable on opaque origins (about:blank, data: URLs)
+                }
+            }
+        }, sessionState.origins);
+    }
+}
+
+/**
+ * Check whether the current page is being viewed as a logged-in user
+ * @param {Page} page - Playwright page
+ * @param {Object|null} sessionState - Storage state from prepareSessionState
+ * @param {string} [authenticatedSelector] - Element only present for logged-in users
+ * @returns {Promise<boolean>}
+ */
+export async function isAuthenticated(page, sessionState, authenticatedSelector) {
+    if (!sessionState) return false;
+    if (!authenticatedSelector) return true;
+
+    try {
+        return await page.locator(authenticatedSelector).first().isVisible();
+    } catch (error) {
+        return false;
+    }
+}
+
+// Fill in the login form in a throwaway browser and capture the resulting storage state
+async function runLoginFlow(input, initialState, proxyUrl) {
+    const {
+        loginUrl,
+        loginUsername,
+        loginPassword,
+        loginUsernameSelector = 'input[type="email"], input[name="username"], input[name="email"]',
+        loginPasswordSelector = 'input[type="password"]',
+        loginSubmitSelector = 'button[type="submit"], input[type="submit"]',
+        loginSuccessSelector
+    } = input;
+
+    if (!loginUsername || !loginPassword) {
+        throw new Error('Login URL is set but login username or password is missing.');
+    }
+
+    console.log(`🔐 Logging in at ${loginUrl}...`);
+    const browser = await chromium.launch({
+        headless: true,
+        ...(proxyUrl ? { proxy: toPlaywrightProxy(proxyUrl) } : {})
+    });
+
+    try {
+        const context = await browser.newContext({ storageState: initialState });
+        const page = await context.newPage();
+
+        await page.goto(loginUrl, { waitUntil: 'domcontentloaded', timeout: LOGIN_TIMEOUT_MS });
+        await page.locator(loginUsernameSelector).first().fill(loginUsername, { timeout: LOGIN_TIMEOUT_MS });
+        await page.locator(loginPasswordSelector).first().fill(loginPassword, { timeout: LOGIN_TIMEOUT_MS });
+        await page.locator(loginSubmitSelector).first().click({ timeout: LOGIN_TIMEOUT_MS });
+
+        if (loginSuccessSelector) {
+            await page.waitForSelector(loginSuccessSelector, { timeout: LOGIN_TIMEOUT_MS });
+        } else {
+            await page.waitForLoadState('networkidle', { timeout: LOGIN_TIMEOUT_MS }).catch(() => {});
+        }
+
+        console.log('✅ Login succeeded');
+        return await context.storageState();
+    } catch (error) {
+        throw new Error(`Login failed: ${error.message}`);
+    } finally {
+        await browser.close();
+    }
+}
+
+// Accept both Playwright cookies and browser-extension exports (EditThisCookie etc.)
+function normalizeCookie(cookie) {
+    const normalized = {
+        name: cookie.name,
+        value: String(cookie.value ?? '')
+    };
+
+    if (cookie.url) {
+        normalized.url = cookie.url;
+    } else if (cookie.domain) {
+        normalized.domain = cookie.domain;
+        normalized.path = cookie.path || '/';
+    } else {
+        throw new Error(`Cookie "${cookie.name}" needs either a url or a domain.`);
+    }
+
+    const expires = cookie.expires ?? cookie.expirationDate;
+    if (typeof expires === 'number' && expires > 0) normalized.expires = expires;
+    if (cookie.httpOnly !== undefined) normalized.httpOnly = cookie.httpOnly;
+    if (cookie.secure !== undefined) normalized.secure = cookie.secure;
+
+    const sameSite = SAME_SITE_VALUES[String(cookie.sameSite || '').toLowerCase()];
+    if (sameSite) normalized.sameSite = sameSite;
+
+    return normalized;
+}
+
+function toPlaywrightProxy(proxyUrl) {
+    const { protocol, host, username, password } = new URL(proxyUrl);
+    return {
+        server: `${protocol}//${host}`,
+        username: decodeURIComponent(username),
+        password: decodeURIComponent(password)
+    };
+}
+
+export default { prepareSessionState, applySessionState, isAuthenticated };
@@ -0,0 +1,236 @@
+// Sitemap Loader - Expands sitemap.xml / robots.txt inputs into audit URLs
+// Handles sitemap index files, gzipped sitemaps and robots.txt disallow rules
+
+import { gunzipSync } from 'zlib';
+
+const MAX_SITEMAP_NESTING = 3;
+const FETCH_TIMEOUT_MS = 30000;
+
+/**
+ * Expand sitemap (or robots.txt) URLs into a flat list of page entries
+ * @param {Array<string>} sitemapUrls - Sitemap, sitemap index or robots.txt URLs
+ * @param {Object} options
+ * @param {number} options.sampleSize - Max URLs to keep per sitemap section (0 = keep all)
+ * @param {boolean} options.respectRobotsTxt - Drop URLs disallowed by the site's robots.txt
+ * @returns {Promise<Array>} Entries of { url, lastmod, priority, changefreq, sitemap }
+ */
+export async function loadSitemapUrls(sitemapUrls, { sampleSize = 0, respectRobotsTxt = true } = {}) {
+    const robotsCache = new Map();
+    const visited = new Set();
+    const seenUrls = new Set();
+    const entries = [];
+
+    // robots.txt inputs contribute their Sitemap: directives
+    const queue = [];
+    for (const sitemapUrl of sitemapUrls) {
+        const parsed = parseUrl(sitemapUrl);
+        if (!parsed) {
+            console.log(`⚠️ Skipping invalid sitemap URL: ${sitemapUrl}`);
+            continue;
+        }
+        if (/\/robots\.txt$/i.test(parsed.pathname)) {
+            const robots = await getRobotsRules(parsed.origin, robotsCache);
+            console.log(`🤖 robots.txt ${sitemapUrl} lists ${robots.sitemaps.length} sitemaps`);
+            queue.push(...robots.sitemaps);
+        } else {
+            queue.push(sitemapUrl);
+        }
+    }
+
+    for (const sitemapUrl of queue) {
+        const sections = await expandSitemap(sitemapUrl, visited, 0);
+
+        // Each leaf sitemap is a section, sampled independently from the URLs that can actually be audited
+        for (const section of sections) {
+            const candidates = [];
+            const sectionUrls = new Set();
+            let invalid = 0;
+            let disallowed = 0;
+            for (const entry of section.entries) {
+                if (seenUrls.has(entry.url) || sectionUrls.has(entry.url)) continue;
+                const parsed = parseUrl(entry.url);
+                if (!parsed) {
+                    invalid++;
+                    continue;
+                }
+                if (respectRobotsTxt) {
+                    const robots = await getRobotsRules(parsed.origin, robotsCache);
+                    if (!isAllowedByRobots(robots.rules, parsed.pathname + parsed.search)) {
+                        disallowed++;
+                        continue;
+                    }
+                }
+                sectionUrls.add(entry.url);
+                candidates.push(entry);
+            }
+
+            const sampled = sampleEntries(candidates, sampleSize);
+            for (const entry of sampled) {
+                seenUrls.add(entry.url);
+                entries.push({ ...entry, sitemap: section.sitemap });
+            }
+
+            if (invalid > 0) console.log(`⚠️ Sitemap ${section.sitemap}: skipped ${invalid} invalid URLs`);
+            if (disallowed > 0) console.log(`🚫 Sitemap ${section.sitemap}: skipped ${disallowed} URLs disallowed by robots.txt`);
+            console.log(`🗺️ Sitemap ${section.sitemap}: ${section.entries.length} URLs, ${sampled.length} selected`);
+        }
+    }
+
+    return entries;
+}
+
+// Recursively resolve a sitemap or sitemap index into leaf sections
+async function expandSitemap(sitemapUrl, visited, nesting) {
+    if (visited.has(sitemapUrl) || nesting > MAX_SITEMAP_NESTING) return [];
+    visited.add(sitemapUrl);
+
+    let xml;
+    try {
+        xml = await fetchText(sitemapUrl);
+    } catch (error) {
+        console.log(`⚠️ Failed to load sitemap ${sitemapUrl}: ${error.message}`);
+        return [];
+    }
+
+    if (/<sitemapindex[\s>]/i.test(xml)) {
+        const sections = [];
+        for (const block of extractBlocks(xml, 'sitemap')) {
+            const loc = extractTag(block, 'loc');
+            if (loc) sections.push(...await expandSitemap(loc, visited, nesting + 1));
+        }
+        return sections;
+    }
+
+    const entries = extractBlocks(xml, 'url')
+        .map(block => ({
+            url: extractTag(block, 'loc'),
+            lastmod: extractTag(block, 'lastmod'),
+            priority: parsePriority(extractTag(block, 'priority')),
+            changefreq: extractTag(block, 'changefreq')
+        }))
+        .filter(entry => entry.url && /^https?:\/\//i.test(entry.url));
+
+    return [{ sitemap: sitemapUrl, entries }];
+}
+
+// Download a text resource, transparently un-gzipping .gz sitemaps
+async function fetchText(url) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const isGzip = buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+    return (isGzip ? gunzipSync(buffer) : buffer).toString('utf8');
+}
+
+function extractBlocks(xml, tag) {
+    const pattern = new RegExp(`<(?:\\w+:)?${tag}[\\s>][\\s\\S]*?</(?:\\w+:)?${tag}>`, 'gi');
+    return xml.match(pattern) || [];
+}
+
+function extractTag(block, tag) {
+    const match = block.match(new RegExp(`<(?:\\w+:)?${tag}[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'i'));
+    if (!match) return null;
+    const value = match[1].replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1').trim();
+    return decodeXmlEntities(value) || null;
+}
+
+function decodeXmlEntities(text) {
+    const entities = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" };
+    return text.replace(/&(amp|lt|gt|quot|apos);/g, s => entities[s]);
+}
+
+function parsePriority(value) {
+    const priority = parseFloat(value);
+    return Number.isFinite(priority) ? priority : null;
+}
+
+function parseUrl(url) {
+    try {
+        return new URL(url);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Evenly spaced sample so every part of a section is represented and runs stay reproducible
+function sampleEntries(entries, sampleSize) {
+    if (!sampleSize || entries.length <= sampleSize) return entries;
+    const step = entries.length / sampleSize;
+    return Array.from({ length: sampleSize }, (_, i) => entries[Math.floor(i * step)]);
+}
+
+// Fetch and parse robots.txt once per origin
+async function getRobotsRules(origin, cache) {
+    if (!cache.has(origin)) {
+        let robots = { rules: [], sitemaps: [] };
+        try {
+            robots = parseRobotsTxt(await fetchText(`${origin}/robots.txt`));
+        } catch (error) {
+            // Missing or unreachable robots.txt means everything is allowed
+        }
+        cache.set(origin, robots);
+    }
+    return cache.get(origin);
+}
+
+// Collect Allow/Disallow rules of the "*" user-agent group plus Sitemap directives
+function parseRobotsTxt(text) {
+    const rules = [];
+    const sitemaps = [];
+    let groupAgents = [];
+    let inRules = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+
+        const field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (field === 'sitemap') {
+            if (value) sitemaps.push(value);
+        } else if (field === 'user-agent') {
+            // A user-agent line after rules starts a new group
+            if (inRules) {
+                groupAgents = [];
+                inRules = false;
+            }
+            groupAgents.push(value.toLowerCase());
+        } else if (field === 'allow' || field === 'disallow') {
+            inRules = true;
+            if (groupAgents.includes('*') && value) {
+                rules.push({ allow: field === 'allow', pattern: value });
+            }
+        }
+    }
+
+    return { rules, sitemaps };
+}
+
+// Longest matching rule wins; Allow wins ties (Google's interpretation)
+function isAllowedByRobots(rules, path) {
+    let best = null;
+    for (const rule of rules) {
+        if (!robotsPatternToRegExp(rule.pattern).test(path)) continue;
+        if (!best || rule.pattern.length > best.pattern.length ||
+            (rule.pattern.length === best.pattern.length && rule.allow)) {
+            best = rule;
+        }
+    }
+    return !best || best.allow;
+}
+
+function robotsPatternToRegExp(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+export default { loadSitemapUrls };
@@ -0,0 +1,115 @@
+// Structured Data - Parses JSON-LD blocks and validates common schema.org types
+// Required/recommended properties follow Google's rich result documentation
+
+const SCHEMA_RULES = {
+    Product: {
+        required: ['name'],
+        requiredOneOf: [['offers', 'review', 'aggregateRating']],
+        recommended: ['image', 'description', 'brand', 'sku']
+    },
+    Article: { required: ['headline'], recommended: ['image', 'datePublished', 'author', 'dateModified'] },
+    NewsArticle: { required: ['headline'], recommended: ['image', 'datePublished', 'author', 'dateModified'] },
+    BlogPosting: { required: ['headline'], recommended: ['image', 'datePublished', 'author', 'dateModified'] },
+    Organization: { required: ['name'], recommended: ['url', 'logo', 'sameAs'] },
+    LocalBusiness: { required: ['name', 'address'], recommended: ['telephone', 'openingHoursSpecification', 'geo', 'url'] },
+    WebSite: { required: ['name', 'url'], recommended: ['potentialAction'] },
+    BreadcrumbList: { required: ['itemListElement'], recommended: [] },
+    FAQPage: { required: ['mainEntity'], recommended: [] },
+    Event: { required: ['name', 'startDate', 'location'], recommended: ['endDate', 'image', 'description', 'offers'] },
+    Recipe: { required: ['name', 'image'], recommended: ['author', 'recipeIngredient', 'recipeInstructions'] },
+    Person: { required: ['name'], recommended: ['url', 'sameAs'] }
+};
+
+/**
+ * Parse JSON-LD script contents and validate the schema.org items they describe
+ * @param {Array<string>} blocks - Raw text of each `script[type="application/ld+json"]`
+ * @returns {Object} { blocks, types, items, parse_errors, valid }
+ */
+export function validateStructuredData(blocks) {
+    const parseErrors = [];
+    const items = [];
+
+    blocks.forEach((text, index) => {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            parseErrors.push({ block: index + 1, error: error.message });
+            return;
+        }
+        collectItems(data).forEach(item => items.push(validateItem(item, index + 1)));
+    });
+
+    return {
+        blocks: blocks.length,
+        types: [...new Set(items.flatMap(item => item.types))],
+        items: items.slice(0, 50),
+        parse_errors: parseErrors,
+        valid: parseErrors.length === 0 && items.every(item => item.missing_required.length === 0 && item.errors.length === 0)
+    };
+}
+
+// Top-level items, including arrays and @graph containers
+function collectItems(data) {
+    if (Array.isArray(data)) return data.flatMap(collectItems);
+    if (!data || typeof data !== 'object') return [];
+    if (Array.isArray(data['@graph'])) return data['@graph'].flatMap(collectItems);
+    return data['@type'] ? [data] : [];
+}
+
+function validateItem(item, block) {
+    const types = (Array.isArray(item['@type']) ? item['@type'] : [item['@type']]).map(String);
+    const result = {
+        block,
+        types,
+        missing_required: [],
+        missing_recommended: [],
+        errors: []
+    };
+
+    const hasValue = (property) => {
+        const value = item[property];
+        if (value === undefined || value === null || value === '') return false;
+        return !Array.isArray(value) || value.length > 0;
+    };
+
+    for (const type of types) {
+        const rules = SCHEMA_RULES[type];
+        if (!rules) continue;
+
+        rules.required.forEach(property => {
+            if (!hasValue(property)) result.missing_required.push(property);
+        });
+        (rules.requiredOneOf || []).forEach(group => {
+            if (!group.some(hasValue)) result.missing_required.push(group.join(' | '));
+        });
+        rules.recommended.forEach(property => {
+            if (!hasValue(property)) result.missing_recommended.push(property);
+        });
+
+        if (type === 'BreadcrumbList' && hasValue('itemListElement')) {
+            result.errors.push(...validateBreadcrumbs(item.itemListElement));
+        }
+    }
+
+    return result;
+}
+
+// Each ListItem needs a position and name; every crumb except the last needs an item URL
+function validateBreadcrumbs(elements) {
+    const list = Array.isArray(elements) ? elements : [elements];
+    const errors = [];
+    list.forEach((element, i) => {
+        if (!element || typeof element !== 'object') {
+            errors.push(`itemListElement[${i}] is not a ListItem`);
+            return;
+        }
+        const itemName = element.name || element.item?.name;
+        if (element.position === undefined) errors.push(`itemListElement[${i}] is missing position`);
+        if (!itemName) errors.push(`itemListElement[${i}] is missing name`);
+        if (i < list.length - 1 && !element.item) errors.push(`itemListElement[${i}] is missing item`);
+    });
+    return errors;
+}
+
+export default { validateStructuredData };
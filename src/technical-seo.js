@@ -0,0 +1,256 @@
+// Technical SEO - Canonical, robots, hreflang, social cards, meta lengths and structured data
+// Per-page checks run in analyzeSEO; cross-page checks run over the finished result set
+
+import { validateStructuredData } from './structured-data.js';
+
+// Lengths that display untruncated in search results
+export const META_LENGTHS = {
+    title: { min: 30, max: 60 },
+    description: { min: 70, max: 160 }
+};
+
+const OPEN_GRAPH_TAGS = ['og:title', 'og:description', 'og:image', 'og:url', 'og:type'];
+
+// twitter:* tags fall back to their Open Graph equivalents when absent
+const TWITTER_TAGS = {
+    'twitter:title': 'og:title',
+    'twitter:description': 'og:description',
+    'twitter:image': 'og:image'
+};
+
+const HREFLANG_PATTERN = /^(x-default|[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?)$/i;
+
+/**
+ * Run the technical SEO checks for the loaded page
+ * @param {Page} page - Playwright page
+ * @param {Object} options
+ * @param {Response|null} options.response - Main document response from page.goto (for X-Robots-Tag / Link headers)
+ * @returns {Promise<Object>} Technical SEO findings, `missing_meta_tags` and `issues`
+ */
+export async function analyzeTechnicalSeo(page, { response = null } = {}) {
+    const data = await page.evaluate(() => {
+        const meta = (selector) => [...document.querySelectorAll(selector)];
+        const tags = {};
+        meta('meta[property], meta[name]').forEach(el => {
+            const key = (el.getAttribute('property') || el.getAttribute('name')).toLowerCase();
+            if ((key.startsWith('og:') || key.startsWith('twitter:')) && !(key in tags)) {
+                tags[key] = el.getAttribute('content');
+            }
+        });
+
+        return {
+            title: document.querySelector('title')?.textContent.trim() || null,
+            description: document.querySelector('meta[name="description"]')?.getAttribute('content')?.trim() || null,
+            canonicals: meta('link[rel~="canonical"]').map(el => el.getAttribute('href')),
+            robotsMeta: meta('meta[name="robots"], meta[name="googlebot"]').map(el => el.getAttribute('content') || ''),
+            hreflang: meta('link[rel~="alternate"][hreflang]').map(el => ({
+                lang: el.getAttribute('hreflang'),
+                href: el.getAttribute('href')
+            })),
+            socialTags: tags,
+            htmlLang: document.documentElement.getAttribute('lang'),
+            jsonLd: meta('script[type="application/ld+json"]').map(el => el.textContent),
+            microdataTypes: [...new Set(meta('[itemscope][itemtype]').map(el => el.getAttribute('itemtype')))]
+        };
+    });
+
+    const pageUrl = page.url();
+    const headers = response ? await response.allHeaders().catch(() => ({})) : {};
+    const issues = [];
+    const missing = [];
+    const addIssue = (rule, message) => issues.push({ rule, message });
+
+    // Title and description lengths
+    const titleLength = data.title ? data.title.length : 0;
+    const descriptionLength = data.description ? data.description.length : 0;
+    if (!data.title) missing.push('title');
+    else if (titleLength < META_LENGTHS.title.min) addIssue('title-too-short', `Title is ${titleLength} characters (aim for ${META_LENGTHS.title.min}-${META_LENGTHS.title.max})`);
+    else if (titleLength > META_LENGTHS.title.max) addIssue('title-too-long', `Title is ${titleLength} characters and will be truncated after ~${META_LENGTHS.title.max}`);
+    if (!data.description) missing.push('meta-description');
+    else if (descriptionLength < META_LENGTHS.description.min) addIssue('description-too-short', `Meta description is ${descriptionLength} characters (aim for ${META_LENGTHS.description.min}-${META_LENGTHS.description.max})`);
+    else if (descriptionLength > META_LENGTHS.description.max) addIssue('description-too-long', `Meta description is ${descriptionLength} characters and will be truncated after ~${META_LENGTHS.description.max}`);
+    if (!data.htmlLang) missing.push('html-lang');
+
+    // Canonical: <link rel=canonical> or a Link: <...>; rel="canonical" header
+    const headerCanonical = (headers.link || '').match(/<([^>]+)>\s*;\s*rel="?canonical"?/i);
+    const canonicalHrefs = [...data.canonicals, ...(headerCanonical ? [headerCanonical[1]] : [])];
+    const canonical = checkCanonical(canonicalHrefs, pageUrl, addIssue);
+    if (canonicalHrefs.length === 0) missing.push('canonical');
+
+    // Robots directives from meta tags and the X-Robots-Tag header
+    const directives = [...data.robotsMeta, headers['x-robots-tag'] || '']
+        .flatMap(value => value.toLowerCase().split(','))
+        .map(value => value.trim())
+        .filter(Boolean);
+    const robots = {
+        directives: [...new Set(directives)],
+        x_robots_tag: headers['x-robots-tag'] || null,
+        indexable: !directives.some(d => d === 'noindex' || d === 'none'),
+        followable: !directives.some(d => d === 'nofollow' || d === 'none')
+    };
+    if (!robots.indexable) addIssue('noindex', 'Page is excluded from search results by a noindex directive');
+    if (!robots.followable) addIssue('nofollow', 'Links on this page are not followed by search engines');
+    if (!robots.indexable && canonical.url && !canonical.self_referencing) {
+        addIssue('noindex-with-canonical', 'noindex combined with a canonical to another URL sends conflicting signals');
+    }
+
+    const hreflang = checkHreflang(data.hreflang, pageUrl, canonical.url, addIssue);
+
+    // Open Graph and Twitter cards
+    const social = data.socialTags;
+    const missingOpenGraph = OPEN_GRAPH_TAGS.filter(tag => !social[tag]);
+    const missingTwitter = [
+        ...(social['twitter:card'] ? [] : ['twitter:card']),
+        ...Object.entries(TWITTER_TAGS).filter(([tag, fallback]) => !social[tag] && !social[fallback]).map(([tag]) => tag)
+    ];
+    missing.push(...missingOpenGraph, ...missingTwitter);
+    if (social['og:image'] && !isAbsoluteUrl(social['og:image'])) {
+        addIssue('og-image-relative', 'og:image must be an absolute URL');
+    }
+
+    const structuredData = validateStructuredData(data.jsonLd);
+    structuredData.parse_errors.forEach(error => addIssue('structured-data-parse-error', `JSON-LD block ${error.block}: ${error.error}`));
+    structuredData.items.forEach(item => {
+        if (item.missing_required.length > 0) {
+            addIssue('structured-data-missing-required', `${item.types.join('/')} is missing ${item.missing_required.join(', ')}`);
+        }
+        item.errors.forEach(error => addIssue('structured-data-invalid', `${item.types.join('/')}: ${error}`));
+    });
+    structuredData.microdata_types = data.microdataTypes;
+
+    return {
+        title_length: titleLength,
+        description_length: descriptionLength,
+        html_lang: data.htmlLang,
+        canonical,
+        robots,
+        hreflang,
+        open_graph: {
+            tags: Object.fromEntries(Object.entries(social).filter(([key]) => key.startsWith('og:'))),
+            complete: missingOpenGraph.length === 0,
+            missing: missingOpenGraph
+        },
+        twitter_card: {
+            type: social['twitter:card'] || null,
+            complete: missingTwitter.length === 0,
+            missing: missingTwitter
+        },
+        structured_data: structuredData,
+        missing_meta_tags: missing,
+        issues
+    };
+}
+
+/**
+ * Find problems that only show up when comparing audited pages with each other
+ * @param {Array<Object>} results - Comprehensive audit results (one or more per URL)
+ * @returns {Object} { duplicate_titles, duplicate_descriptions, hreflang_missing_return_links }
+ */
+export function findCrossPageSeoIssues(results) {
+    const byUrl = new Map();
+    results.forEach(result => {
+        // Keyed like hreflang hrefs so the return-link lookup matches
+        const url = normalizeUrl(result.url);
+        if (result.seo_analysis && !byUrl.has(url)) byUrl.set(url, result.seo_analysis);
+    });
+
+    const duplicates = (field) => {
+        const groups = new Map();
+        byUrl.forEach((seo, url) => {
+            const value = seo[field] && seo[field].trim().toLowerCase();
+            if (!value) return;
+            if (!groups.has(value)) groups.set(value, { value: seo[field].trim(), urls: [] });
+            groups.get(value).urls.push(url);
+        });
+        return [...groups.values()].filter(group => group.urls.length > 1);
+    };
+
+    // hreflang annotations must be confirmed by the page they point to
+    const missingReturnLinks = [];
+    byUrl.forEach((seo, url) => {
+        (seo.technical_seo?.hreflang?.alternates || []).forEach(alternate => {
+            if (alternate.href === normalizeUrl(url) || !byUrl.has(alternate.href)) return;
+            const target = byUrl.get(alternate.href);
+            const returns = (target.technical_seo?.hreflang?.alternates || []).some(back => back.href === normalizeUrl(url));
+            if (!returns) missingReturnLinks.push({ from: url, to: alternate.href, lang: alternate.lang });
+        });
+    });
+
+    return {
+        duplicate_titles: duplicates('meta_title').map(({ value, urls }) => ({ title: value, urls })),
+        duplicate_descriptions: duplicates('meta_description').map(({ value, urls }) => ({ description: value, urls })),
+        hreflang_missing_return_links: missingReturnLinks
+    };
+}
+
+function checkCanonical(hrefs, pageUrl, addIssue) {
+    const canonical = { url: null, self_referencing: false, cross_domain: false };
+    if (hrefs.length === 0) return canonical;
+
+    const resolved = [...new Set(hrefs.map(href => resolveUrl(href, pageUrl)))];
+    if (resolved.length > 1) addIssue('multiple-canonicals', `Conflicting canonical URLs: ${resolved.join(', ')}`);
+    if (resolved.includes(null)) {
+        addIssue('invalid-canonical', 'Canonical URL cannot be parsed');
+        return canonical;
+    }
+    if (hrefs.some(href => !isAbsoluteUrl(href))) addIssue('relative-canonical', 'Canonical URL should be absolute');
+
+    canonical.url = resolved[0];
+    canonical.self_referencing = canonical.url === normalizeUrl(pageUrl);
+    canonical.cross_domain = new URL(canonical.url).hostname !== new URL(pageUrl).hostname;
+    if (canonical.cross_domain) addIssue('cross-domain-canonical', `Canonical points to another domain: ${canonical.url}`);
+    if (new URL(pageUrl).protocol === 'https:' && canonical.url.startsWith('http:')) {
+        addIssue('insecure-canonical', 'Canonical points to an http:// URL from an https:// page');
+    }
+    return canonical;
+}
+
+function checkHreflang(entries, pageUrl, canonicalUrl, addIssue) {
+    const alternates = entries.map(entry => ({ lang: entry.lang, href: resolveUrl(entry.href, pageUrl) }));
+    const hreflang = {
+        alternates,
+        has_x_default: alternates.some(a => a.lang.toLowerCase() === 'x-default'),
+        self_referencing: false
+    };
+    if (alternates.length === 0) return hreflang;
+
+    const ownUrls = [normalizeUrl(pageUrl), canonicalUrl].filter(Boolean);
+    hreflang.self_referencing = alternates.some(a => ownUrls.includes(a.href));
+    if (!hreflang.self_referencing) addIssue('hreflang-no-self-reference', 'hreflang set does not include this page itself');
+    if (!hreflang.has_x_default) addIssue('hreflang-no-x-default', 'hreflang set has no x-default fallback');
+
+    const seen = new Map();
+    alternates.forEach(({ lang, href }) => {
+        if (!HREFLANG_PATTERN.test(lang)) addIssue('hreflang-invalid-code', `Invalid hreflang code "${lang}"`);
+        if (!href) addIssue('hreflang-invalid-url', `hreflang "${lang}" has an unparseable URL`);
+        const key = lang.toLowerCase();
+        if (seen.has(key) && seen.get(key) !== href) addIssue('hreflang-conflict', `hreflang "${lang}" points to more than one URL`);
+        seen.set(key, href);
+    });
+    return hreflang;
+}
+
+function resolveUrl(href, base) {
+    try {
+        return normalizeUrl(new URL(href, base).href);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Drop the fragment so "page" and "page#top" compare equal
+function normalizeUrl(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        return parsed.href;
+    } catch (error) {
+        return url;
+    }
+}
+
+function isAbsoluteUrl(url) {
+    return /^https?:\/\//i.test(url || '');
+}
+
+export default { META_LENGTHS, analyzeTechnicalSeo, findCrossPageSeoIssues };
@@ -0,0 +1,325 @@
+// Technology Detector - Matches page evidence against the fingerprint database
+// Rules (technology-fingerprints.json) test script/stylesheet URLs, globals, meta tags, cookies, headers and DOM selectors
+
+import { readFileSync } from 'fs';
+
+const BUILT_IN_FINGERPRINTS = JSON.parse(
+    readFileSync(new URL('./technology-fingerprints.json', import.meta.url), 'utf8')
+);
+
+// Categories reported as a single value (highest confidence wins); all others are lists
+const SINGLE_VALUE_FIELDS = {
+    frontend_framework: 'frontend_framework',
+    css_framework: 'css_framework',
+    hosting_provider: 'hosting_provider',
+    cdn: 'cdn',
+    cms: 'cms',
+    ecommerce: 'ecommerce',
+    web_server: 'server_info'
+};
+
+const LIST_FIELDS = [
+    'javascript_libraries', 'analytics', 'payment_processors', 'chat_widgets', 'marketing_tools',
+    'consent_management', 'security', 'performance', 'fonts', 'icons', 'backend'
+];
+
+// Detections below this confidence stay in `detected` but do not fill the summary fields
+const MIN_CONFIDENCE = 50;
+
+let builtInRules = null;
+
+/**
+ * Compile the built-in fingerprints, with custom rules merged over them by technology name
+ * @param {Object} customFingerprints - Extra rules in the technology-fingerprints.json format
+ * @returns {Array<Object>} Compiled rules for detectTechnologies
+ */
+export function loadFingerprints(customFingerprints = {}) {
+    const custom = customFingerprints && typeof customFingerprints === 'object' ? customFingerprints : {};
+    if (Object.keys(custom).length === 0) {
+        builtInRules = builtInRules || compileFingerprints(BUILT_IN_FINGERPRINTS);
+        return builtInRules;
+    }
+    return compileFingerprints({ ...BUILT_IN_FINGERPRINTS, ...custom });
+}
+
+/**
+ * Detect the technologies used by the loaded page
+ * @param {Page} page - Playwright page
+ * @param {Object} options
+ * @param {Response|null} options.response - Main document response from page.goto (for header rules)
+ * @param {Array<Object>} options.fingerprints - Rules from loadFingerprints (built-ins when omitted)
+ * @returns {Promise<Object>} Category fields plus `detected` with version, confidence and evidence per technology
+ */
+export async function detectTechnologies(page, { response = null, fingerprints = loadFingerprints() } = {}) {
+    const technologies = {
+        frontend_framework: null,
+        css_framework: null,
+        javascript_libraries: [],
+        analytics: [],
+        hosting_provider: null,
+        cdn: null,
+        cms: null,
+        ecommerce: null,
+        payment_processors: [],
+        chat_widgets: [],
+        marketing_tools: [],
+        consent_management: [],
+        security: [],
+        performance: [],
+        fonts: [],
+        icons: [],
+        backend: [],
+        meta_generator: null,
+        server_info: null,
+        detected: []
+    };
+
+    try {
+        const evidence = await collectEvidence(page, response, fingerprints);
+        const detections = matchFingerprints(fingerprints, evidence);
+
+        technologies.detected = detections;
+        technologies.meta_generator = evidence.meta.generator ? evidence.meta.generator[0] : null;
+
+        for (const detection of detections) {
+            if (detection.confidence < MIN_CONFIDENCE) continue;
+            const singleField = SINGLE_VALUE_FIELDS[detection.category];
+            if (singleField && !technologies[singleField]) {
+                technologies[singleField] = detection.category === 'web_server' && detection.version
+                    ? `${detection.name} ${detection.version}`
+                    : detection.name;
+            } else if (LIST_FIELDS.includes(detection.category)) {
+                technologies[detection.category].push(detection.name);
+            }
+        }
+    } catch (error) {
+        console.log(`⚠️ Technology detection failed: ${error.message}`);
+    }
+
+    return technologies;
+}
+
+/**
+ * Technologies whose script fingerprints match a script URL seen on the network
+ * @param {string} url - Script URL
+ * @param {Array<Object>} fingerprints - Rules from loadFingerprints (built-ins when omitted)
+ * @returns {Array<string>} Technology names
+ */
+export function matchScriptUrl(url, fingerprints = loadFingerprints()) {
+    return fingerprints
+        .filter(rule => rule.scripts.some(pattern => pattern.regex && pattern.regex.test(url)))
+        .map(rule => rule.name);
+}
+
+function compileFingerprints(fingerprints) {
+    const toPatterns = (value, where) => [].concat(value ?? []).map(text => parsePattern(text, where)).filter(Boolean);
+    const toPatternMap = (map, where) => Object.fromEntries(
+        Object.entries(map || {}).map(([key, value]) => [key, toPatterns(value, `${where} "${key}"`)])
+    );
+
+    return Object.entries(fingerprints).map(([name, rule]) => {
+        const where = `fingerprint "${name}"`;
+        // DOM rules are either a presence pattern or { attribute: pattern }
+        const dom = Object.entries(rule.dom || {}).map(([selector, value]) => (
+            value && typeof value === 'object' && !Array.isArray(value)
+                ? { selector, attributes: toPatternMap(value, `${where} dom "${selector}"`) }
+                : { selector, patterns: toPatterns(value, `${where} dom`) }
+        ));
+
+        return {
+            name,
+            category: rule.category || 'other',
+            implies: [].concat(rule.implies ?? []),
+            url: toPatterns(rule.url, `${where} url`),
+            scripts: toPatterns(rule.scripts, `${where} scripts`),
+            stylesheets: toPatterns(rule.stylesheets, `${where} stylesheets`),
+            headers: toPatternMap(Object.fromEntries(
+                Object.entries(rule.headers || {}).map(([header, value]) => [header.toLowerCase(), value])
+            ), `${where} headers`),
+            cookies: toPatternMap(rule.cookies, `${where} cookies`),
+            meta: toPatternMap(Object.fromEntries(
+                Object.entries(rule.meta || {}).map(([meta, value]) => [meta.toLowerCase(), value])
+            ), `${where} meta`),
+            globals: toPatternMap(rule.globals, `${where} globals`),
+            dom
+        };
+    });
+}
+
+// Pattern syntax: "regex\;version:\1\;confidence:50" - an empty regex only checks presence
+function parsePattern(text, where) {
+    const [source, ...tags] = String(text).split('\\;');
+    const pattern = { regex: null, version: null, confidence: 100 };
+    try {
+        pattern.regex = source ? new RegExp(source, 'i') : null;
+    } catch (error) {
+        console.log(`⚠️ Skipping invalid pattern in ${where}: ${error.message}`);
+        return null;
+    }
+    tags.forEach(tag => {
+        const separator = tag.indexOf(':');
+        const key = tag.slice(0, separator);
+        const value = tag.slice(separator + 1);
+        if (key === 'version') pattern.version = value;
+        if (key === 'confidence' && Number.isFinite(Number(value))) pattern.confidence = Number(value);
+    });
+    return pattern;
+}
+
+async function collectEvidence(page, response, fingerprints) {
+    const globalPaths = [...new Set(fingerprints.flatMap(rule => Object.keys(rule.globals)))];
+    const domRules = fingerprints.flatMap(rule => rule.dom.map(({ selector, attributes }) => ({
+        selector,
+        attributes: attributes ? Object.keys(attributes) : []
+    })));
+
+    const pageData = await page.evaluate(({ globalPaths, domRules }) => {
+        const resolve = (path) => {
+            let value = window;
+            for (const key of path.split('.')) {
+                if (value === undefined || value === null) return undefined;
+                try {
+                    value = value[key];
+                } catch (error) {
+                    return undefined;
+                }
+            }
+            return value;
+        };
+
+        const globals = {};
+        globalPaths.forEach(path => {
+            const value = resolve(path);
+            if (value === undefined || value === null) return;
+            // Only primitives can carry a version; objects and functions just need to exist
+            globals[path] = ['string', 'number', 'boolean'].includes(typeof value) ? String(value) : '';
+        });
+
+        const dom = {};
+        domRules.forEach(({ selector, attributes }) => {
+            let el = null;
+            try {
+                el = document.querySelector(selector);
+            } catch (error) {
+                return;
+            }
+            if (!el) return;
+            dom[selector] = Object.fromEntries(attributes.map(name => [name, el.getAttribute(name)]));
+        });
+
+        const meta = {};
+        document.querySelectorAll('meta[name], meta[property], meta[http-equiv]').forEach(el => {
+            const key = (el.getAttribute('name') || el.getAttribute('property') || el.getAttribute('http-equiv')).toLowerCase();
+            const content = el.getAttribute('content');
+            if (content === null) return;
+            (meta[key] = meta[key] || []).push(content);
+        });
+
+        // Resource timing also catches scripts that were injected and removed again (tag loaders)
+        const resources = performance.getEntriesByType('resource');
+        return {
+            scripts: [...new Set([
+                ...[...document.scripts].map(script => script.src).filter(Boolean),
+                ...resources.filter(entry => entry.initiatorType === 'script').map(entry => entry.name)
+            ])],
+            stylesheets: [...new Set([
+                ...[...document.querySelectorAll('link[rel~="stylesheet"][href]')].map(link => link.href),
+                ...resources.filter(entry => entry.initiatorType === 'css' || /\.css(?:$|\?)/i.test(entry.name)).map(entry => entry.name)
+            ])],
+            globals,
+            dom,
+            meta
+        };
+    }, { globalPaths, domRules });
+
+    const headers = response ? await response.allHeaders().catch(() => ({})) : {};
+    const cookies = await page.context().cookies(page.url()).catch(() => []);
+
+    return {
+        ...pageData,
+        url: page.url(),
+        headers,
+        cookies: Object.fromEntries(cookies.map(cookie => [cookie.name, cookie.value]))
+    };
+}
+
+function matchFingerprints(fingerprints, evidence) {
+    const detections = new Map();
+
+    const record = (rule, type, pattern, subject) => {
+        const match = pattern.regex ? pattern.regex.exec(subject) : [subject];
+        if (!match) return;
+
+        if (!detections.has(rule.name)) {
+            detections.set(rule.name, { name: rule.name, category: rule.category, version: null, confidence: 0, evidence: new Set() });
+        }
+        const detection = detections.get(rule.name);
+        detection.confidence = Math.min(100, detection.confidence + pattern.confidence);
+        detection.evidence.add(type);
+
+        if (pattern.version) {
+            const version = pattern.version.replace(/\\(\d)/g, (_, group) => match[group] || '').trim();
+            // Prefer the most specific version string any rule produced
+            if (version && (!detection.version || version.length > detection.version.length)) detection.version = version;
+        }
+    };
+
+    const matchList = (rule, type, patterns, subjects) => patterns.forEach(pattern => {
+        const subject = subjects.find(value => !pattern.regex || pattern.regex.test(value));
+        if (subject !== undefined) record(rule, type, pattern, subject);
+    });
+
+    const matchMap = (rule, type, patternMap, values) => Object.entries(patternMap).forEach(([key, patterns]) => {
+        if (values[key] === undefined) return;
+        matchList(rule, type, patterns, [].concat(values[key]).map(String));
+    });
+
+    for (const rule of fingerprints) {
+        matchList(rule, 'url', rule.url, [evidence.url]);
+        matchList(rule, 'script', rule.scripts, evidence.scripts);
+        matchList(rule, 'stylesheet', rule.stylesheets, evidence.stylesheets);
+        matchMap(rule, 'header', rule.headers, evidence.headers);
+        matchMap(rule, 'cookie', rule.cookies, evidence.cookies);
+        matchMap(rule, 'meta', rule.meta, evidence.meta);
+        matchMap(rule, 'global', rule.globals, evidence.globals);
+        rule.dom.forEach(({ selector, patterns, attributes }) => {
+            const found = evidence.dom[selector];
+            if (!found) return;
+            if (patterns) matchList(rule, 'dom', patterns, ['']);
+            else matchMap(rule, 'dom', attributes, Object.fromEntries(Object.entries(found).filter(([, value]) => value !== null)));
+        });
+    }
+
+    // Implied technologies (Next.js -> React) inherit the confidence of what implied them
+    const byName = new Map(fingerprints.map(rule => [rule.name, rule]));
+    const queue = [...detections.values()];
+    while (queue.length > 0) {
+        const detection = queue.shift();
+        for (const name of byName.get(detection.name)?.implies || []) {
+            const existing = detections.get(name);
+            if (existing) {
+                if (existing.confidence < detection.confidence) {
+                    existing.confidence = detection.confidence;
+                    existing.evidence.add('implied');
+                }
+                continue;
+            }
+            const implied = {
+                name,
+                category: byName.get(name)?.category || 'other',
+                version: null,
+                confidence: detection.confidence,
+                evidence: new Set(['implied'])
+            };
+            detections.set(name, implied);
+            queue.push(implied);
+        }
+    }
+
+    return [...detections.values()]
+        .map(detection => ({ ...detection, evidence: [...detection.evidence] }))
+        // Ties go to the technology backed by more kinds of evidence
+        .sort((a, b) => b.confidence - a.confidence || b.evidence.length - a.evidence.length || a.name.localeCompare(b.name));
+}
+
+export default { loadFingerprints, detectTechnologies, matchScriptUrl };
@@ -0,0 +1,157 @@
+// Third-Party Entities - Known third-party domains and cookies grouped by company and purpose
+// Classifies requests and cookies for the privacy audit and third-party impact report; anything unlisted is 'unknown'
+
+// Categories that track visitors and need consent under GDPR / ePrivacy
+export const TRACKING_CATEGORIES = ['analytics', 'advertising', 'social'];
+
+const ENTITIES = [
+    // Analytics
+    { name: 'Google Analytics', company: 'Google', category: 'analytics', domains: ['google-analytics.com', 'analytics.google.com'] },
+    { name: 'Hotjar', company: 'Hotjar', category: 'analytics', domains: ['hotjar.com', 'hotjar.io'] },
+    { name: 'Microsoft Clarity', company: 'Microsoft', category: 'analytics', domains: ['clarity.ms'] },
+    { name: 'Segment', company: 'Twilio', category: 'analytics', domains: ['segment.com', 'segment.io'] },
+    { name: 'Mixpanel', company: 'Mixpanel', category: 'analytics', domains: ['mixpanel.com', 'mxpnl.com'] },
+    { name: 'Amplitude', company: 'Amplitude', category: 'analytics', domains: ['amplitude.com'] },
+    { name: 'Heap', company: 'Heap', category: 'analytics', domains: ['heapanalytics.com', 'heap-api.com'] },
+    { name: 'Adobe Analytics', company: 'Adobe', category: 'analytics', domains: ['omtrdc.net', '2o7.net', 'demdex.net'] },
+    { name: 'Matomo Cloud', company: 'Matomo', category: 'analytics', domains: ['matomo.cloud'] },
+    { name: 'Plausible', company: 'Plausible', category: 'analytics', domains: ['plausible.io'] },
+    { name: 'FullStory', company: 'FullStory', category: 'analytics', domains: ['fullstory.com'] },
+    { name: 'Mouseflow', company: 'Mouseflow', category: 'analytics', domains: ['mouseflow.com'] },
+    { name: 'New Relic', company: 'New Relic', category: 'analytics', domains: ['nr-data.net', 'newrelic.com'] },
+    { name: 'Cloudflare Web Analytics', company: 'Cloudflare', category: 'analytics', domains: ['cloudflareinsights.com'] },
+    { name: 'HubSpot', company: 'HubSpot', category: 'analytics', domains: ['hs-analytics.net', 'hs-scripts.com', 'hubspot.com', 'hsforms.com'] },
+    { name: 'Optimizely', company: 'Optimizely', category: 'analytics', domains: ['optimizely.com'] },
+    { name: 'VWO', company: 'Wingify', category: 'analytics', domains: ['visualwebsiteoptimizer.com', 'wingify.com'] },
+
+    // Advertising
+    { name: 'Google Ads / DoubleClick', company: 'Google', category: 'advertising', domains: ['doubleclick.net', 'googleadservices.com', 'googlesyndication.com', 'adservice.google.com', 'googletagservices.com'] },
+    { name: 'Meta Pixel', company: 'Meta', category: 'advertising', domains: ['connect.facebook.net', 'facebook.com', 'facebook.net'] },
+    { name: 'Microsoft Advertising', company: 'Microsoft', category: 'advertising', domains: ['bat.bing.com', 'bat.bing.net'] },
+    { name: 'LinkedIn Insight', company: 'LinkedIn', category: 'advertising', domains: ['snap.licdn.com', 'px.ads.linkedin.com', 'ads.linkedin.com'] },
+    { name: 'TikTok Pixel', company: 'ByteDance', category: 'advertising', domains: ['analytics.tiktok.com', 'business-api.tiktok.com'] },
+    { name: 'X (Twitter) Ads', company: 'X', category: 'advertising', domains: ['ads-twitter.com', 'ads-api.twitter.com', 'analytics.twitter.com', 't.co'] },
+    { name: 'Pinterest Tag', company: 'Pinterest', category: 'advertising', domains: ['ct.pinterest.com', 's.pinimg.com'] },
+    { name: 'Snap Pixel', company: 'Snap', category: 'advertising', domains: ['sc-static.net', 'tr.snapchat.com'] },
+    { name: 'Reddit Pixel', company: 'Reddit', category: 'advertising', domains: ['redditstatic.com', 'alb.reddit.com'] },
+    { name: 'Criteo', company: 'Criteo', category: 'advertising', domains: ['criteo.com', 'criteo.net'] },
+    { name: 'Taboola', company: 'Taboola', category: 'advertising', domains: ['taboola.com'] },
+    { name: 'Outbrain', company: 'Outbrain', category: 'advertising', domains: ['outbrain.com'] },
+    { name: 'Amazon Ads', company: 'Amazon', category: 'advertising', domains: ['amazon-adsystem.com'] },
+    { name: 'The Trade Desk', company: 'The Trade Desk', category: 'advertising', domains: ['adsrvr.org'] },
+    { name: 'Quantcast', company: 'Quantcast', category: 'advertising', domains: ['quantserve.com', 'quantcount.com'] },
+    { name: 'Klaviyo', company: 'Klaviyo', category: 'advertising', domains: ['klaviyo.com'] },
+
+    // Social
+    { name: 'YouTube', company: 'Google', category: 'social', domains: ['youtube.com', 'ytimg.com', 'youtube-nocookie.com'] },
+    { name: 'X (Twitter) Embeds', company: 'X', category: 'social', domains: ['platform.twitter.com', 'syndication.twitter.com', 'twimg.com'] },
+    { name: 'LinkedIn', company: 'LinkedIn', category: 'social', domains: ['linkedin.com', 'licdn.com'] },
+    { name: 'Instagram', company: 'Meta', category: 'social', domains: ['instagram.com', 'cdninstagram.com'] },
+    { name: 'Vimeo', company: 'Vimeo', category: 'social', domains: ['vimeo.com', 'vimeocdn.com'] },
+    { name: 'AddThis', company: 'Oracle', category: 'social', domains: ['addthis.com', 'addthisedge.com'] },
+    { name: 'ShareThis', company: 'ShareThis', category: 'social', domains: ['sharethis.com'] },
+    { name: 'Disqus', company: 'Disqus', category: 'social', domains: ['disqus.com', 'disquscdn.com'] },
+
+    // Not tracking by purpose (still third parties)
+    { name: 'Google Tag Manager', company: 'Google', category: 'tag-manager', domains: ['googletagmanager.com'] },
+    { name: 'Google Fonts', company: 'Google', category: 'cdn', domains: ['fonts.googleapis.com', 'fonts.gstatic.com'] },
+    { name: 'Google Maps', company: 'Google', category: 'content', domains: ['maps.googleapis.com', 'maps.gstatic.com'] },
+    { name: 'reCAPTCHA', company: 'Google', category: 'security', domains: ['recaptcha.net'] },
+    { name: 'OneTrust', company: 'OneTrust', category: 'consent', domains: ['cookielaw.org', 'onetrust.com'] },
+    { name: 'Cookiebot', company: 'Usercentrics', category: 'consent', domains: ['cookiebot.com'] },
+    { name: 'Usercentrics', company: 'Usercentrics', category: 'consent', domains: ['usercentrics.eu'] },
+    { name: 'Didomi', company: 'Didomi', category: 'consent', domains: ['privacy-center.org', 'didomi.io'] },
+    { name: 'TrustArc', company: 'TrustArc', category: 'consent', domains: ['trustarc.com'] },
+    { name: 'Intercom', company: 'Intercom', category: 'customer-success', domains: ['intercom.io', 'intercomcdn.com'] },
+    { name: 'Zendesk', company: 'Zendesk', category: 'customer-success', domains: ['zdassets.com', 'zendesk.com'] },
+    { name: 'Drift', company: 'Salesloft', category: 'customer-success', domains: ['driftt.com', 'drift.com'] },
+    { name: 'Crisp', company: 'Crisp', category: 'customer-success', domains: ['crisp.chat'] },
+    { name: 'Stripe', company: 'Stripe', category: 'payments', domains: ['stripe.com', 'stripe.network'] },
+    { name: 'PayPal', company: 'PayPal', category: 'payments', domains: ['paypal.com', 'paypalobjects.com'] },
+    { name: 'Shopify', company: 'Shopify', category: 'hosting', domains: ['shopify.com', 'shopifycdn.com', 'shopifysvc.com'] },
+    { name: 'Cloudflare CDN', company: 'Cloudflare', category: 'cdn', domains: ['cdnjs.cloudflare.com', 'cloudflare.com'] },
+    { name: 'jsDelivr', company: 'jsDelivr', category: 'cdn', domains: ['jsdelivr.net'] },
+    { name: 'unpkg', company: 'unpkg', category: 'cdn', domains: ['unpkg.com'] },
+    { name: 'Adobe Fonts', company: 'Adobe', category: 'cdn', domains: ['typekit.net'] },
+    { name: 'Font Awesome', company: 'Fonticons', category: 'cdn', domains: ['fontawesome.com'] }
+];
+
+// First-party cookies written by tracking scripts
+const TRACKING_COOKIES = [
+    { pattern: /^_ga(_|$)|^_gid$|^_gat/, entity: 'Google Analytics', category: 'analytics' },
+    { pattern: /^_gcl_|^__gads$|^__gpi$/, entity: 'Google Ads / DoubleClick', category: 'advertising' },
+    { pattern: /^_fbp$|^_fbc$/, entity: 'Meta Pixel', category: 'advertising' },
+    { pattern: /^_hj/, entity: 'Hotjar', category: 'analytics' },
+    { pattern: /^_clck$|^_clsk$/, entity: 'Microsoft Clarity', category: 'analytics' },
+    { pattern: /^_uet(sid|vid)$/, entity: 'Microsoft Advertising', category: 'advertising' },
+    { pattern: /^_ttp$|^_tt_enable_cookie$/, entity: 'TikTok Pixel', category: 'advertising' },
+    { pattern: /^_pin_unauth$|^_pinterest_/, entity: 'Pinterest Tag', category: 'advertising' },
+    { pattern: /^li_fat_id$|^_li_|^li_sugr$/, entity: 'LinkedIn Insight', category: 'advertising' },
+    { pattern: /^_scid/, entity: 'Snap Pixel', category: 'advertising' },
+    { pattern: /^_rdt_uuid$/, entity: 'Reddit Pixel', category: 'advertising' },
+    { pattern: /^ajs_/, entity: 'Segment', category: 'analytics' },
+    { pattern: /^mp_/, entity: 'Mixpanel', category: 'analytics' },
+    { pattern: /^AMP_/, entity: 'Amplitude', category: 'analytics' },
+    { pattern: /^_pk_/, entity: 'Matomo', category: 'analytics' },
+    { pattern: /^hubspotutk$|^__hs(tc|sc|srd)$/, entity: 'HubSpot', category: 'analytics' },
+    { pattern: /^__kla_id$/, entity: 'Klaviyo', category: 'advertising' },
+    { pattern: /^_vwo_|^_vis_opt_/, entity: 'VWO', category: 'analytics' },
+    { pattern: /^optimizelyEndUserId$/, entity: 'Optimizely', category: 'analytics' }
+];
+
+// Second-level labels of multi-part public suffixes (example.co.uk, example.com.au)
+const SECOND_LEVEL_SUFFIXES = new Set(['co', 'com', 'org', 'net', 'gov', 'ac', 'edu', 'ne', 'or']);
+
+/**
+ * Approximate registrable domain (eTLD+1) of a hostname
+ * @param {string} hostname
+ * @returns {string}
+ */
+export function registrableDomain(hostname) {
+    const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+    if (labels.length <= 2 || /^\d+$/.test(labels[labels.length - 1])) return labels.join('.');
+    const secondLevel = labels[labels.length - 2];
+    const take = labels[labels.length - 1].length === 2 && SECOND_LEVEL_SUFFIXES.has(secondLevel) ? 3 : 2;
+    return labels.slice(-take).join('.');
+}
+
+/**
+ * Find the known entity serving a URL (most specific domain wins)
+ * @param {string} url
+ * @returns {Object|null} { name, company, category }
+ */
+export function classifyUrl(url) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+
+    let best = null;
+    let bestLength = 0;
+    for (const entity of ENTITIES) {
+        for (const domain of entity.domains) {
+            if ((hostname === domain || hostname.endsWith(`.${domain}`)) && domain.length > bestLength) {
+                best = entity;
+                bestLength = domain.length;
+            }
+        }
+    }
+    return best ? { name: best.name, company: best.company, category: best.category } : null;
+}
+
+/**
+ * Classify a cookie by its name, or by the entity owning its domain
+ * @param {Object} cookie - Playwright cookie ({ name, domain })
+ * @returns {Object|null} { entity, category }
+ */
+export function classifyCookie(cookie) {
+    const known = TRACKING_COOKIES.find(rule => rule.pattern.test(cookie.name));
+    if (known) return { entity: known.entity, category: known.category };
+
+    const entity = classifyUrl(`https://${cookie.domain.replace(/^\./, '')}/`);
+    return entity ? { entity: entity.name, category: entity.category } : null;
+}
+
+export default { TRACKING_CATEGORIES, registrableDomain, classifyUrl, classifyCookie };
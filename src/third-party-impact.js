@@ -0,0 +1,157 @@
+// Third-Party Impact - Bytes, requests, main-thread time and render blocking per third-party company
+// Built from observed traffic (network recorder, Resource Timing, long animation frames), not from page markup
+
+import { registrableDomain, classifyUrl } from './third-party-entities.js';
+import { matchScriptUrl, loadFingerprints } from './technology-detector.js';
+import { collectScriptAttribution } from './web-vitals.js';
+
+const HEAVY_MAIN_THREAD_MS = 250; // Lighthouse flags third-party code that blocks the main thread this long
+const HEAVY_TRANSFER_BYTES = 500 * 1024;
+const WATCHED_CATEGORIES = ['analytics', 'marketing_tools', 'chat_widgets'];
+
+/**
+ * Group third-party traffic by owning company and measure what each one costs the page
+ * @param {Page} page - Playwright page with the vitals collector installed
+ * @param {Object} options
+ * @param {Array<Object>} options.networkEntries - Entries from the network recorder, snapshotted after load
+ * @param {Object} options.scriptAttribution - collectScriptAttribution result from the same moment (collected now if omitted)
+ * @param {Array<Object>} options.laterEntries - Everything recorded since, such as tags loaded after consent (only to tell traffic-less tags apart)
+ * @param {Object} options.technologies - Result of detectTechnologies (for tags seen without traffic)
+ * @param {Array<Object>} options.fingerprints - Rules from loadFingerprints
+ * @returns {Promise<Object>} Per-entity breakdown, third-party totals and issues
+ */
+export async function analyzeThirdParties(page, { networkEntries = [], scriptAttribution = null, laterEntries = [], technologies = null, fingerprints = loadFingerprints() } = {}) {
+    const [attribution, renderBlocking] = await Promise.all([
+        scriptAttribution || collectScriptAttribution(page),
+        collectRenderBlocking(page)
+    ]);
+
+    const pageDomain = registrableDomain(new URL(page.url()).hostname);
+    const groups = new Map();
+    let firstPartyBytes = 0;
+
+    networkEntries.forEach(entry => {
+        if (!/^https?:/.test(entry.url)) return;
+        const hostname = new URL(entry.url).hostname;
+        if (registrableDomain(hostname) === pageDomain) {
+            firstPartyBytes += entry.transfer_bytes;
+            return;
+        }
+
+        // Known companies group all their products; unknown hosts are grouped by their own domain
+        const known = classifyUrl(entry.url);
+        const key = known ? known.company : registrableDomain(hostname);
+        if (!groups.has(key)) {
+            groups.set(key, {
+                entity: key,
+                known: Boolean(known),
+                products: new Set(),
+                categories: new Set(),
+                technologies: new Set(),
+                domains: new Set(),
+                requests: 0,
+                transfer_bytes: 0,
+                script_bytes: 0,
+                scripts: new Set(),
+                render_blocking: new Set()
+            });
+        }
+
+        const group = groups.get(key);
+        group.requests++;
+        group.transfer_bytes += entry.transfer_bytes;
+        group.domains.add(hostname);
+        if (known) {
+            group.products.add(known.name);
+            group.categories.add(known.category);
+        }
+        if (entry.type === 'js') {
+            group.script_bytes += entry.transfer_bytes;
+            group.scripts.add(entry.url);
+            matchScriptUrl(entry.url, fingerprints).forEach(name => group.technologies.add(name));
+        }
+        if (renderBlocking.has(entry.url)) group.render_blocking.add(entry.url);
+    });
+
+    // Main-thread time of every script URL this company served
+    const entities = [...groups.values()]
+        .map(group => ({
+            entity: group.entity,
+            known: group.known,
+            products: [...group.products],
+            categories: [...group.categories],
+            technologies: [...group.technologies],
+            domains: [...group.domains],
+            requests: group.requests,
+            transfer_bytes: group.transfer_bytes,
+            script_bytes: group.script_bytes,
+            main_thread_ms: attribution.supported
+                ? [...group.scripts].reduce((sum, url) => sum + (attribution.by_url[url] || 0), 0)
+                : null,
+            render_blocking: [...group.render_blocking]
+        }))
+        .sort((a, b) => (b.main_thread_ms || 0) - (a.main_thread_ms || 0) || b.transfer_bytes - a.transfer_bytes);
+
+    const thirdPartyBytes = entities.reduce((sum, entity) => sum + entity.transfer_bytes, 0);
+    const trafficTechnologies = new Set(entities.flatMap(entity => [...entity.technologies, ...entity.products]));
+    laterEntries.forEach(entry => {
+        if (!/^https?:/.test(entry.url) || registrableDomain(new URL(entry.url).hostname) === pageDomain) return;
+        const known = classifyUrl(entry.url);
+        if (known) trafficTechnologies.add(known.name);
+        if (entry.type === 'js') matchScriptUrl(entry.url, fingerprints).forEach(name => trafficTechnologies.add(name));
+    });
+
+    const report = {
+        main_thread_supported: attribution.supported,
+        long_animation_frames: attribution.long_animation_frames,
+        third_party_count: entities.length,
+        third_party_requests: entities.reduce((sum, entity) => sum + entity.requests, 0),
+        third_party_bytes: thirdPartyBytes,
+        third_party_byte_share: thirdPartyBytes + firstPartyBytes > 0
+            ? Math.round(thirdPartyBytes / (thirdPartyBytes + firstPartyBytes) * 1000) / 10
+            : 0,
+        third_party_main_thread_ms: attribution.supported
+            ? entities.reduce((sum, entity) => sum + entity.main_thread_ms, 0)
+            : null,
+        render_blocking_count: entities.reduce((sum, entity) => sum + entity.render_blocking.length, 0),
+        entities,
+        // Tags found by detectTechnologies whose scripts never showed up as third-party traffic (self-hosted or proxied)
+        detected_without_traffic: technologies
+            ? WATCHED_CATEGORIES.flatMap(category => technologies[category] || []).filter(name => !trafficTechnologies.has(name))
+            : [],
+        issues: []
+    };
+
+    entities.forEach(entity => {
+        if (entity.render_blocking.length > 0) {
+            report.issues.push({ rule: 'render-blocking-third-party', message: `${entity.entity} blocks rendering with ${entity.render_blocking.length} resource${entity.render_blocking.length > 1 ? 's' : ''}` });
+        }
+        if (entity.main_thread_ms >= HEAVY_MAIN_THREAD_MS) {
+            report.issues.push({ rule: 'third-party-main-thread', message: `${entity.entity} scripts run for ${entity.main_thread_ms}ms in long animation frames` });
+        }
+        if (entity.transfer_bytes >= HEAVY_TRANSFER_BYTES) {
+            report.issues.push({ rule: 'heavy-third-party', message: `${entity.entity} transfers ${Math.round(entity.transfer_bytes / 1024)} KB` });
+        }
+    });
+
+    return report;
+}
+
+// URLs the browser marked as render-blocking; older browsers fall back to parser-blocking <head> resources
+async function collectRenderBlocking(page) {
+    const urls = await page.evaluate(() => {
+        const resources = performance.getEntriesByType('resource');
+        if (resources.some(entry => entry.renderBlockingStatus !== undefined)) {
+            return resources.filter(entry => entry.renderBlockingStatus === 'blocking').map(entry => entry.name);
+        }
+        return [
+            ...[...document.querySelectorAll('head script[src]:not([async]):not([defer]):not([type="module"])')].map(script => script.src),
+            ...[...document.querySelectorAll('head link[rel~="stylesheet"][href]:not([disabled])')]
+                .filter(link => !link.media || link.media === 'all' || matchMedia(link.media).matches)
+                .map(link => link.href)
+        ];
+    }).catch(() => []);
+    return new Set(urls);
+}
+
+export default { analyzeThirdParties };
@@ -0,0 +1,200 @@
+// Touch Targets - WCAG 2.5.5 (44px) / 2.5.8 (24px) target size, spacing and overlap
+// Measures every interactive element's box and can outline the failures on a screenshot
+
+export const TOUCH_TARGET_SIZES = {
+    minimum: 24, // 2.5.8 Target Size (Minimum), AA
+    enhanced: 44 // 2.5.5 Target Size (Enhanced), AAA
+};
+
+const MAX_TARGETS = 1500;
+const MAX_ANNOTATED_HEIGHT = 8000;
+
+/**
+ * Measure every interactive element against the WCAG target size criteria
+ * @param {Page} page - Playwright page with DOM helpers installed
+ * @param {Object} options
+ * @param {number} options.maxResults - Cap on reported failing targets
+ * @returns {Promise<Object>} Counts, 1-10 `compliance_score` and `failing_targets` with selector, size and position
+ */
+export async function analyzeTouchTargets(page, { maxResults = 50 } = {}) {
+    return page.evaluate(({ sizes, maxTargets, maxResults }) => {
+        const dom = window.__uxAuditorDom;
+        const selector = [
+            'a[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'summary', 'label[for]',
+            '[role="button"]', '[role="link"]', '[role="checkbox"]', '[role="radio"]', '[role="tab"]',
+            '[role="menuitem"]', '[role="switch"]', '[role="option"]', '[onclick]', '[tabindex]:not([tabindex^="-"])'
+        ].join(', ');
+
+        const elements = [...document.querySelectorAll(selector)]
+            .filter(el => !el.disabled && dom.isVisible(el));
+        const elementSet = new Set(elements);
+
+        // Links inside a sentence are exempt from 2.5.8
+        const isInlineTextLink = (el) => {
+            if (el.tagName !== 'A' || getComputedStyle(el).display !== 'inline') return false;
+            const parent = el.parentElement;
+            const parentText = parent ? parent.textContent.replace(/\s+/g, ' ').trim() : '';
+            return parentText.length > el.textContent.trim().length + 20;
+        };
+
+        const targets = [];
+        for (const el of elements) {
+            // Nested targets (input in label, icon button in link) act as their outermost target
+            let ancestor = el.parentElement;
+            let nested = false;
+            while (ancestor && !nested) {
+                nested = elementSet.has(ancestor);
+                ancestor = ancestor.parentElement;
+            }
+            if (nested || isInlineTextLink(el)) continue;
+
+            const rect = el.getBoundingClientRect();
+            targets.push({
+                el,
+                left: rect.left + window.scrollX,
+                top: rect.top + window.scrollY,
+                right: rect.right + window.scrollX,
+                bottom: rect.bottom + window.scrollY,
+                width: rect.width,
+                height: rect.height
+            });
+            if (targets.length >= maxTargets) break;
+        }
+
+        const center = (t) => ({ x: (t.left + t.right) / 2, y: (t.top + t.bottom) / 2 });
+        const distanceToRect = (point, t) => {
+            const dx = Math.max(t.left - point.x, 0, point.x - t.right);
+            const dy = Math.max(t.top - point.y, 0, point.y - t.bottom);
+            return Math.hypot(dx, dy);
+        };
+        const gapBetween = (a, b) => Math.hypot(
+            Math.max(0, Math.max(a.left, b.left) - Math.min(a.right, b.right)),
+            Math.max(0, Math.max(a.top, b.top) - Math.min(a.bottom, b.bottom))
+        );
+        const undersized = (t) => t.width < sizes.minimum || t.height < sizes.minimum;
+
+        // Only compare targets that are vertically close (sorted sweep)
+        const sorted = [...targets].sort((a, b) => a.top - b.top);
+        sorted.forEach(t => {
+            t.nearest = Infinity;
+            t.overlaps = false;
+            t.spacingFailure = false;
+        });
+        for (let i = 0; i < sorted.length; i++) {
+            const a = sorted[i];
+            for (let j = i + 1; j < sorted.length; j++) {
+                const b = sorted[j];
+                if (b.top > a.bottom + sizes.enhanced) break;
+
+                const gap = gapBetween(a, b);
+                a.nearest = Math.min(a.nearest, gap);
+                b.nearest = Math.min(b.nearest, gap);
+
+                const overlapWidth = Math.min(a.right, b.right) - Math.max(a.left, b.left);
+                const overlapHeight = Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top);
+                if (overlapWidth > 0 && overlapHeight > 0) {
+                    a.overlaps = true;
+                    b.overlaps = true;
+                }
+
+                // 2.5.8 spacing exception: a 24px circle on each undersized target must not touch
+                // another target or another undersized target's circle
+                const radius = sizes.minimum / 2;
+                for (const [self, other] of [[a, b], [b, a]]) {
+                    if (!undersized(self)) continue;
+                    const c = center(self);
+                    const tooClose = undersized(other)
+                        ? Math.hypot(c.x - center(other).x, c.y - center(other).y) < sizes.minimum
+                        : distanceToRect(c, other) < radius;
+                    if (tooClose) self.spacingFailure = true;
+                }
+            }
+        }
+
+        const failing = [];
+        let aaFailures = 0;
+        let aaaFailures = 0;
+        let overlapping = 0;
+        for (const t of targets) {
+            const issues = [];
+            // Undersized targets with enough room around them pass 2.5.8 via the spacing exception
+            if (undersized(t) && t.spacingFailure) issues.push('below-24px', 'insufficient-spacing');
+            if (t.width < sizes.enhanced || t.height < sizes.enhanced) issues.push('below-44px');
+            if (t.overlaps) issues.push('overlap');
+
+            const failsAA = (undersized(t) && t.spacingFailure) || t.overlaps;
+            if (failsAA) aaFailures++;
+            if (issues.includes('below-44px')) aaaFailures++;
+            if (t.overlaps) overlapping++;
+            if (issues.length === 0) continue;
+
+            failing.push({
+                selector: dom.cssPath(t.el),
+                text: dom.textSnippet(t.el, 40) || t.el.getAttribute('aria-label') || null,
+                width: Math.round(t.width),
+                height: Math.round(t.height),
+                x: Math.round(t.left),
+                y: Math.round(t.top),
+                nearest_target_px: Number.isFinite(t.nearest) ? Math.round(t.nearest) : null,
+                wcag: failsAA ? '2.5.8' : '2.5.5',
+                level: failsAA ? 'AA' : 'AAA',
+                issues
+            });
+        }
+
+        // AA failures first, then smallest targets
+        failing.sort((a, b) => (a.level === b.level ? a.width * a.height - b.width * b.height : a.level === 'AA' ? -1 : 1));
+
+        const checked = targets.length;
+        return {
+            targets_checked: checked,
+            measured_viewport: { width: window.innerWidth, height: window.innerHeight },
+            aa_failures: aaFailures,
+            aaa_failures: aaaFailures,
+            overlapping_targets: overlapping,
+            aa_compliance_percent: checked > 0 ? Math.round((checked - aaFailures) / checked * 100) : 100,
+            aaa_compliance_percent: checked > 0 ? Math.round((checked - aaaFailures) / checked * 100) : 100,
+            compliance_score: checked > 0
+                ? Math.max(1, Math.round(10 * (checked - aaFailures) / checked - (aaaFailures / checked > 0.5 ? 1 : 0)))
+                : 10,
+            failing_targets: failing.slice(0, maxResults)
+        };
+    }, { sizes: TOUCH_TARGET_SIZES, maxTargets: MAX_TARGETS, maxResults });
+}
+
+/**
+ * Screenshot the page with failing targets outlined (red = AA failure, orange = AAA only)
+ * @param {Page} page - Playwright page
+ * @param {Array<Object>} failingTargets - `failing_targets` from analyzeTouchTargets
+ * @returns {Promise<Buffer>} PNG buffer
+ */
+export async function annotateTouchTargets(page, failingTargets) {
+    const pageHeight = await page.evaluate((boxes) => {
+        const overlay = document.createElement('div');
+        overlay.id = '__ux-auditor-touch-overlay';
+        overlay.style.cssText = 'position:absolute;top:0;left:0;width:0;height:0;z-index:2147483647;pointer-events:none;';
+        boxes.forEach(box => {
+            const outline = document.createElement('div');
+            const color = box.level === 'AA' ? '#e53935' : '#fb8c00';
+            outline.style.cssText = `position:absolute;left:${box.x}px;top:${box.y}px;width:${box.width}px;height:${box.height}px;` +
+                `outline:2px solid ${color};background:${color}33;box-sizing:border-box;`;
+            overlay.appendChild(outline);
+        });
+        // Appended to <html> so a positioned <body> does not offset the boxes
+        document.documentElement.appendChild(overlay);
+        return document.documentElement.scrollHeight;
+    }, failingTargets);
+
+    try {
+        const viewport = page.viewportSize();
+        return await page.screenshot({
+            type: 'png',
+            fullPage: true,
+            clip: { x: 0, y: 0, width: viewport ? viewport.width : 1920, height: Math.min(pageHeight, MAX_ANNOTATED_HEIGHT) }
+        });
+    } finally {
+        await page.evaluate(() => document.getElementById('__ux-auditor-touch-overlay')?.remove());
+    }
+}
+
+export default { TOUCH_TARGET_SIZES, analyzeTouchTargets, annotateTouchTargets };
@@ -0,0 +1,267 @@
+// Typography Analyzer - Font families, weights, sizes, line height, line length and heading scale
+// Samples every visible text element's computed style; shares are weighted by characters of text
+
+const MAX_SAMPLES = 3000;
+const MIN_READABLE_PX = 12;
+const MAX_FONT_FAMILIES = 3;
+const MAX_FONT_WEIGHTS = 4;
+const MIN_BODY_LINE_HEIGHT = 1.4; // WCAG 1.4.8 recommends 1.5 for blocks of text
+const MAX_LINE_LENGTH = 80; // WCAG 1.4.8: no more than 80 characters per line
+const NORMAL_LINE_HEIGHT = 1.2; // What `line-height: normal` resolves to for most fonts
+
+// Icon fonts render glyphs, not text - they would inflate the family and weight counts
+const ICON_FONTS = /icon|awesome|glyph|symbols|dashicons/i;
+
+// Common modular scales, for naming the ratio between heading sizes
+const NAMED_SCALES = [
+    { name: 'Minor Second', ratio: 1.067 },
+    { name: 'Major Second', ratio: 1.125 },
+    { name: 'Minor Third', ratio: 1.2 },
+    { name: 'Major Third', ratio: 1.25 },
+    { name: 'Perfect Fourth', ratio: 1.333 },
+    { name: 'Augmented Fourth', ratio: 1.414 },
+    { name: 'Perfect Fifth', ratio: 1.5 },
+    { name: 'Golden Ratio', ratio: 1.618 }
+];
+
+/**
+ * Measure the typography of the page's visible text in the current viewport
+ * @param {Page} page - Playwright page with DOM helpers installed
+ * @param {Object} options
+ * @param {number} options.maxResults - Cap on reported small-text elements
+ * @returns {Promise<Object>} Fonts in use, body size and line metrics, heading type scale and issues
+ */
+export async function analyzeTypography(page, { maxResults = 20 } = {}) {
+    const data = await page.evaluate(({ maxSamples, minReadable, maxResults }) => {
+        const dom = window.__uxAuditorDom;
+        const canvas = document.createElement('canvas').getContext('2d');
+        const bodyTextSelector = 'p, li, dd, blockquote, figcaption, td';
+
+        const samples = [];
+        const smallText = [];
+        const seen = new Set();
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+        let textNode;
+
+        while ((textNode = walker.nextNode()) && samples.length < maxSamples) {
+            const element = textNode.parentElement;
+            if (!element || seen.has(element) || !textNode.textContent.trim()) continue;
+            if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'OPTION'].includes(element.tagName)) continue;
+            seen.add(element);
+            if (!dom.isVisible(element)) continue;
+
+            // Only the element's own text - descendants are sampled with their own styles
+            const chars = [...element.childNodes]
+                .filter(node => node.nodeType === Node.TEXT_NODE)
+                .reduce((sum, node) => sum + node.textContent.replace(/\s+/g, ' ').trim().length, 0);
+            const style = getComputedStyle(element);
+            const size = parseFloat(style.fontSize);
+            const family = style.fontFamily.split(',')[0].trim().replace(/^["']|["']$/g, '');
+            const heading = element.closest('h1, h2, h3, h4, h5, h6');
+
+            samples.push({
+                family,
+                weight: parseInt(style.fontWeight, 10) || 400,
+                size,
+                line_height: style.lineHeight === 'normal' ? null : parseFloat(style.lineHeight),
+                chars,
+                heading_level: heading ? parseInt(heading.tagName[1], 10) : null,
+                body_text: !heading && !!element.closest(bodyTextSelector)
+            });
+
+            if (size < minReadable && smallText.length < maxResults) {
+                smallText.push({ selector: dom.cssPath(element), text: dom.textSnippet(element), font_size_px: size, font_family: family });
+            }
+        }
+
+        // Characters per line for wrapped paragraphs: content width over the font's average glyph width
+        const lineLengths = [...document.querySelectorAll('p, li, dd, blockquote')]
+            .filter(el => dom.isVisible(el) && !el.querySelector('p, li, blockquote'))
+            .map(el => {
+                const text = (el.innerText || '').replace(/\s+/g, ' ').trim();
+                if (text.length < 40) return null;
+                const style = getComputedStyle(el);
+                canvas.font = `${style.fontStyle} ${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+                const averageChar = canvas.measureText(text).width / text.length;
+                const width = el.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+                const perLine = averageChar > 0 ? Math.round(width / averageChar) : 0;
+                // Text that fits on one line says nothing about the measure
+                return perLine > 0 && text.length > perLine ? perLine : null;
+            })
+            .filter(Boolean);
+
+        const webFonts = document.fonts
+            ? [...new Set([...document.fonts].filter(font => font.status === 'loaded').map(font => font.family.replace(/^["']|["']$/g, '')))]
+            : [];
+
+        return { samples, smallText, lineLengths, webFonts, viewportWidth: window.innerWidth };
+    }, { maxSamples: MAX_SAMPLES, minReadable: MIN_READABLE_PX, maxResults });
+
+    const samples = data.samples.filter(sample => !ICON_FONTS.test(sample.family));
+    const totalChars = samples.reduce((sum, sample) => sum + sample.chars, 0) || 1;
+    const share = (items) => round(items.reduce((sum, sample) => sum + sample.chars, 0) / totalChars * 100, 1);
+
+    const families = [...groupBy(samples, sample => sample.family).entries()]
+        .map(([family, items]) => ({
+            family,
+            share: share(items),
+            weights: [...new Set(items.map(item => item.weight))].sort((a, b) => a - b),
+            web_font: data.webFonts.includes(family)
+        }))
+        .filter(entry => entry.share > 0)
+        .sort((a, b) => b.share - a.share);
+    const weights = [...groupBy(samples, sample => sample.weight).entries()]
+        .map(([weight, items]) => ({ weight, share: share(items) }))
+        .filter(entry => entry.share > 0)
+        .sort((a, b) => a.weight - b.weight);
+
+    // Body text: paragraph-like elements, or everything that is not a heading when the page has none
+    const bodySamples = samples.filter(sample => sample.body_text && sample.chars > 0);
+    const body = bodySamples.length > 0 ? bodySamples : samples.filter(sample => !sample.heading_level && sample.chars > 0);
+    const bodySize = weightedMode(body, sample => sample.size);
+    const bodyFamily = weightedMode(body, sample => sample.family);
+    const bodyLineHeight = weightedMedian(body.map(sample => ({
+        value: (sample.line_height || sample.size * NORMAL_LINE_HEIGHT) / sample.size,
+        chars: sample.chars
+    })));
+
+    const sortedLengths = [...data.lineLengths].sort((a, b) => a - b);
+    const medianLength = sortedLengths.length > 0 ? sortedLengths[Math.floor(sortedLengths.length / 2)] : null;
+
+    const typeScale = analyzeTypeScale(samples, bodySize);
+    const smallChars = samples.filter(sample => sample.size < MIN_READABLE_PX).reduce((sum, sample) => sum + sample.chars, 0);
+    const smallCount = samples.filter(sample => sample.size < MIN_READABLE_PX && sample.chars > 0).length;
+
+    const typography = {
+        text_elements_sampled: samples.length,
+        viewport_width: data.viewportWidth,
+        font_families: families,
+        font_family_count: families.length,
+        font_weights: weights,
+        web_fonts_loaded: data.webFonts,
+        body_font_family: bodyFamily,
+        body_font_size_px: bodySize,
+        body_line_height: bodyLineHeight != null ? round(bodyLineHeight, 2) : null,
+        line_length: {
+            paragraphs_measured: sortedLengths.length,
+            median_chars: medianLength,
+            max_chars: sortedLengths.length > 0 ? sortedLengths[sortedLengths.length - 1] : null,
+            over_limit: sortedLengths.filter(length => length > MAX_LINE_LENGTH).length
+        },
+        type_scale: typeScale,
+        small_text_count: smallCount,
+        small_text_share: round(smallChars / totalChars * 100, 1),
+        small_text: data.smallText.filter(item => !ICON_FONTS.test(item.font_family)),
+        issues: []
+    };
+    typography.issues = typographyIssues(typography);
+    return typography;
+}
+
+// Distinct heading sizes per level and the ratio between consecutive steps down to body size
+function analyzeTypeScale(samples, bodySize) {
+    const levels = [1, 2, 3, 4, 5, 6]
+        .map(level => {
+            const sizes = [...new Set(samples.filter(sample => sample.heading_level === level).map(sample => round(sample.size, 1)))];
+            return { level: `h${level}`, sizes_px: sizes.sort((a, b) => b - a) };
+        })
+        .filter(entry => entry.sizes_px.length > 0);
+
+    const steps = [...new Set([...levels.map(entry => entry.sizes_px[0]), ...(bodySize ? [round(bodySize, 1)] : [])])]
+        .sort((a, b) => b - a);
+    const ratios = steps.slice(1).map((size, index) => round(steps[index] / size, 3));
+    // Geometric mean: the single ratio that spans the same range in the same number of steps
+    const ratio = steps.length > 1 ? round(Math.pow(steps[0] / steps[steps.length - 1], 1 / (steps.length - 1)), 3) : null;
+    const named = ratio ? NAMED_SCALES.find(scale => Math.abs(scale.ratio - ratio) <= 0.03) : null;
+
+    // A lower level rendered larger than the level above it
+    const inversions = levels
+        .filter((entry, index) => index > 0 && entry.sizes_px[0] > levels[index - 1].sizes_px[0])
+        .map(entry => {
+            const above = levels[levels.indexOf(entry) - 1];
+            return `${entry.level} (${entry.sizes_px[0]}px) is larger than ${above.level} (${above.sizes_px[0]}px)`;
+        });
+
+    return {
+        headings: levels,
+        steps_px: steps,
+        step_ratios: ratios,
+        scale_ratio: ratio,
+        named_scale: named ? named.name : null,
+        inversions
+    };
+}
+
+function typographyIssues(typography) {
+    const issues = [];
+    const addIssue = (rule, message) => issues.push({ rule, message });
+    const mobileWidth = typography.viewport_width <= 480;
+
+    if (typography.font_family_count > MAX_FONT_FAMILIES) {
+        addIssue('too-many-font-families', `${typography.font_family_count} font families in use: ${typography.font_families.map(font => font.family).join(', ')}`);
+    }
+    if (typography.font_weights.length > MAX_FONT_WEIGHTS) {
+        addIssue('too-many-font-weights', `${typography.font_weights.length} font weights in use: ${typography.font_weights.map(font => font.weight).join(', ')}`);
+    }
+    if (typography.body_font_size_px && typography.body_font_size_px < (mobileWidth ? 16 : 14)) {
+        addIssue('small-body-text', `Body text is ${typography.body_font_size_px}px at ${typography.viewport_width}px wide (aim for ${mobileWidth ? 16 : 14}px or more)`);
+    }
+    if (typography.body_line_height && typography.body_line_height < MIN_BODY_LINE_HEIGHT) {
+        addIssue('tight-line-height', `Body line height is ${typography.body_line_height} (aim for ${MIN_BODY_LINE_HEIGHT}-1.6)`);
+    }
+    if (typography.line_length.median_chars > MAX_LINE_LENGTH) {
+        addIssue('long-lines', `Paragraph lines run to about ${typography.line_length.median_chars} characters (aim for 45-${MAX_LINE_LENGTH})`);
+    }
+    if (typography.small_text_count > 0) {
+        addIssue('small-text', `${typography.small_text_count} text elements are smaller than ${MIN_READABLE_PX}px`);
+    }
+    typography.type_scale.inversions.forEach(message => addIssue('inverted-heading-scale', message));
+    const largestHeading = typography.type_scale.headings[0];
+    if (largestHeading && typography.body_font_size_px && largestHeading.sizes_px[0] <= typography.body_font_size_px) {
+        addIssue('flat-heading-scale', `Largest heading (${largestHeading.level}, ${largestHeading.sizes_px[0]}px) is no bigger than body text`);
+    }
+
+    return issues;
+}
+
+function groupBy(items, keyOf) {
+    const groups = new Map();
+    items.forEach(item => {
+        const key = keyOf(item);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    });
+    return groups;
+}
+
+// Value carrying the most characters of text
+function weightedMode(samples, valueOf) {
+    let best = null;
+    let bestChars = 0;
+    groupBy(samples, valueOf).forEach((items, value) => {
+        const chars = items.reduce((sum, item) => sum + item.chars, 0);
+        if (chars > bestChars) {
+            best = value;
+            bestChars = chars;
+        }
+    });
+    return best;
+}
+
+function weightedMedian(entries) {
+    const sorted = entries.filter(entry => entry.chars > 0).sort((a, b) => a.value - b.value);
+    const half = sorted.reduce((sum, entry) => sum + entry.chars, 0) / 2;
+    let running = 0;
+    for (const entry of sorted) {
+        running += entry.chars;
+        if (running >= half) return entry.value;
+    }
+    return null;
+}
+
+function round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+export default { analyzeTypography };
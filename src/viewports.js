@@ -0,0 +1,95 @@
+// Viewports - Device presets and emulation for multi-breakpoint audits
+// Resolves the viewport matrix from input and applies it to each page
+
+const IPHONE_USER_AGENT = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+const IPAD_USER_AGENT = 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+export const VIEWPORT_PRESETS = {
+    desktop: { width: 1920, height: 1080, deviceScaleFactor: 1, isMobile: false },
+    laptop: { width: 1366, height: 768, deviceScaleFactor: 1, isMobile: false },
+    tablet: { width: 768, height: 1024, deviceScaleFactor: 2, isMobile: true, userAgent: IPAD_USER_AGENT },
+    mobile: { width: 390, height: 844, deviceScaleFactor: 3, isMobile: true, userAgent: IPHONE_USER_AGENT }
+};
+
+/**
+ * Turn the `viewports` input (preset names or custom objects) into viewport configs
+ * @param {Array<string|Object>} viewports - e.g. ['desktop', { preset: 'mobile', height: 700 }, { width: 1280, height: 800 }]
+ * @param {string} fallbackPreset - Legacy single `viewPort` input used when `viewports` is empty
+ * @returns {Array<Object>} Configs of { name, width, height, deviceScaleFactor, isMobile, userAgent }
+ */
+export function resolveViewports(viewports, fallbackPreset = 'desktop') {
+    const entries = viewports && viewports.length > 0 ? viewports : [fallbackPreset];
+    const names = new Set();
+
+    return entries.map((entry) => {
+        const spec = typeof entry === 'string' ? { preset: entry } : entry;
+        const preset = spec.preset ? VIEWPORT_PRESETS[spec.preset] : null;
+
+        if (spec.preset && !preset) {
+            throw new Error(`Unknown viewport preset "${spec.preset}". Use one of: ${Object.keys(VIEWPORT_PRESETS).join(', ')}`);
+        }
+
+        const viewport = {
+            deviceScaleFactor: 1,
+            isMobile: false,
+            userAgent: null,
+            ...preset,
+            ...withoutUndefined({
+                width: spec.width,
+                height: spec.height,
+                deviceScaleFactor: spec.deviceScaleFactor,
+                isMobile: spec.isMobile,
+                userAgent: spec.userAgent
+            })
+        };
+
+        if (!Number.isInteger(viewport.width) || !Number.isInteger(viewport.height) ||
+            viewport.width <= 0 || viewport.height <= 0) {
+            throw new Error(`Viewport ${JSON.stringify(entry)} needs a positive integer width and height.`);
+        }
+
+        viewport.name = spec.name || spec.preset || `${viewport.width}x${viewport.height}`;
+        if (names.has(viewport.name)) {
+            throw new Error(`Duplicate viewport name "${viewport.name}". Give custom viewports a unique name.`);
+        }
+        names.add(viewport.name);
+
+        return viewport;
+    });
+}
+
+/**
+ * Emulate a viewport on a page (size, pixel density, touch/mobile mode, user agent)
+ * @param {Page} page - Playwright page
+ * @param {Object} viewport - Config from resolveViewports
+ */
+export async function applyViewport(page, viewport) {
+    await page.setViewportSize({ width: viewport.width, height: viewport.height });
+
+    // Device metrics beyond width/height are context options in Playwright,
+    // so emulate them per page through the Chromium DevTools protocol
+    try {
+        const session = await page.context().newCDPSession(page);
+        await session.send('Emulation.setDeviceMetricsOverride', {
+            width: viewport.width,
+            height: viewport.height,
+            deviceScaleFactor: viewport.deviceScaleFactor,
+            mobile: viewport.isMobile
+        });
+        await session.send('Emulation.setTouchEmulationEnabled', {
+            enabled: viewport.isMobile,
+            maxTouchPoints: viewport.isMobile ? 5 : 0
+        });
+        if (viewport.userAgent) {
+            await session.send('Emulation.setUserAgentOverride', { userAgent: viewport.userAgent });
+        }
+    } catch (error) {
+        console.log(`⚠️ Device emulation unavailable, using plain ${viewport.width}x${viewport.height} viewport: ${error.message}`);
+    }
+}
+
+function withoutUndefined(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+export default { VIEWPORT_PRESETS, resolveViewports, applyViewport };
@@ -0,0 +1,211 @@
+// Web Vitals - Core Web Vitals and navigation timing from the browser's own APIs
+// Observers are installed before page scripts run so early LCP/CLS/long tasks are not missed
+
+// Published "good" / "poor" boundaries (web.dev for LCP/CLS/FCP/TTFB, Lighthouse for TBT)
+export const VITALS_THRESHOLDS = {
+    ttfb_ms: { good: 800, poor: 1800 },
+    fcp_ms: { good: 1800, poor: 3000 },
+    lcp_ms: { good: 2500, poor: 4000 },
+    cls: { good: 0.1, poor: 0.25 },
+    tbt_ms: { good: 200, poor: 600 }
+};
+
+// Lighthouse-style weights (Speed Index replaced by TTFB)
+const VITALS_WEIGHTS = {
+    lcp_ms: 0.25,
+    tbt_ms: 0.30,
+    cls: 0.25,
+    fcp_ms: 0.10,
+    ttfb_ms: 0.10
+};
+
+const LOAD_WAIT_TIMEOUT_MS = 10000;
+
+/**
+ * Start PerformanceObservers on every document the page loads (call before navigation)
+ * @param {Page} page - Playwright page
+ */
+export async function installVitalsCollector(page) {
+    await page.addInitScript(() => {
+        if (window !== window.top || window.__uxAuditorVitals) return;
+
+        const vitals = {
+            lcp: null,
+            lcpElement: null,
+            clsEntries: [],
+            longTasks: [],
+            scriptTime: {},
+            animationFrames: 0
+        };
+        window.__uxAuditorVitals = vitals;
+
+        const describe = (node) => {
+            if (!node || node.nodeType !== 1) return null;
+            if (node.id) return `${node.tagName.toLowerCase()}#${node.id}`;
+            const classes = [...node.classList].slice(0, 2).map(c => `.${c}`).join('');
+            return `${node.tagName.toLowerCase()}${classes}`;
+        };
+
+        const observe = (type, callback) => {
+            try {
+                new PerformanceObserver(list => list.getEntries().forEach(callback))
+                    .observe({ type, buffered: true });
+            } catch (e) {
+                // Entry type not supported by this browser
+            }
+        };
+
+        observe('largest-contentful-paint', (entry) => {
+            vitals.lcp = entry.startTime;
+            vitals.lcpElement = {
+                selector: describe(entry.element),
+                tag: entry.element ? entry.element.tagName.toLowerCase() : null,
+                url: entry.url || null,
+                size: entry.size,
+                text: entry.element && !entry.url ? entry.element.textContent.trim().slice(0, 80) : null
+            };
+        });
+
+        observe('layout-shift', (entry) => {
+            if (entry.hadRecentInput) return;
+            vitals.clsEntries.push({
+                value: entry.value,
+                startTime: entry.startTime,
+                sources: (entry.sources || []).map(source => describe(source.node)).filter(Boolean)
+            });
+        });
+
+        observe('longtask', (entry) => {
+            vitals.longTasks.push({ startTime: entry.startTime, duration: entry.duration });
+        });
+
+        // Long animation frames name the scripts that ran in them (Chromium 123+)
+        observe('long-animation-frame', (entry) => {
+            vitals.animationFrames++;
+            (entry.scripts || []).forEach(script => {
+                const url = script.sourceURL || '(inline)';
+                vitals.scriptTime[url] = (vitals.scriptTime[url] || 0) + script.duration;
+            });
+        });
+    });
+}
+
+/**
+ * Main-thread time per script URL from the long animation frames observed so far
+ * @param {Page} page - Playwright page
+ * @returns {Promise<Object>} { supported, long_animation_frames, by_url: { [url]: ms } }
+ */
+export async function collectScriptAttribution(page) {
+    return page.evaluate(() => {
+        const observed = window.__uxAuditorVitals;
+        const supported = Boolean(observed) && (PerformanceObserver.supportedEntryTypes || []).includes('long-animation-frame');
+        return {
+            supported,
+            long_animation_frames: observed ? observed.animationFrames : 0,
+            by_url: supported ? Object.fromEntries(Object.entries(observed.scriptTime).map(([url, ms]) => [url, Math.round(ms)])) : {}
+        };
+    });
+}
+
+/**
+ * Read navigation timing and the observed vitals once the page has loaded
+ * @param {Page} page - Playwright page
+ * @returns {Promise<Object>} Metrics in milliseconds (CLS unitless)
+ */
+export async function collectWebVitals(page) {
+    await page.waitForLoadState('load', { timeout: LOAD_WAIT_TIMEOUT_MS }).catch(() => {});
+
+    return page.evaluate(() => {
+        const navigation = performance.getEntriesByType('navigation')[0];
+        const fcpEntry = performance.getEntriesByName('first-contentful-paint')[0];
+        const observed = window.__uxAuditorVitals || { lcp: null, lcpElement: null, clsEntries: [], longTasks: [] };
+        const round = (value) => (value === null || value === undefined ? null : Math.round(value));
+
+        // CLS = largest session window (shifts < 1s apart, window capped at 5s)
+        let cls = 0;
+        let worstWindow = [];
+        let currentWindow = [];
+        let currentValue = 0;
+        for (const entry of observed.clsEntries) {
+            const first = currentWindow[0];
+            const last = currentWindow[currentWindow.length - 1];
+            if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+                currentWindow.push(entry);
+                currentValue += entry.value;
+            } else {
+                currentWindow = [entry];
+                currentValue = entry.value;
+            }
+            if (currentValue > cls) {
+                cls = currentValue;
+                worstWindow = [...currentWindow];
+            }
+        }
+
+        const shiftingElements = {};
+        worstWindow.forEach(entry => entry.sources.forEach(selector => {
+            shiftingElements[selector] = (shiftingElements[selector] || 0) + entry.value;
+        }));
+
+        // TBT = blocking part (beyond 50ms) of long tasks after first contentful paint
+        const fcp = fcpEntry ? fcpEntry.startTime : null;
+        const tbt = observed.longTasks
+            .filter(task => fcp === null || task.startTime >= fcp)
+            .reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0);
+
+        return {
+            ttfb_ms: navigation ? round(navigation.responseStart) : null,
+            fcp_ms: round(fcp),
+            lcp_ms: round(observed.lcp),
+            lcp_element: observed.lcpElement,
+            cls: Math.round(cls * 1000) / 1000,
+            cls_sources: Object.entries(shiftingElements)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 5)
+                .map(([selector, value]) => ({ selector, shift: Math.round(value * 1000) / 1000 })),
+            tbt_ms: round(tbt),
+            long_tasks_count: observed.longTasks.length,
+            dom_content_loaded_ms: navigation ? round(navigation.domContentLoadedEventEnd) : null,
+            load_ms: navigation && navigation.loadEventEnd > 0 ? round(navigation.loadEventEnd) : null,
+            transfer_size_bytes: navigation ? navigation.transferSize : null
+        };
+    });
+}
+
+/**
+ * Rate each metric against its thresholds and derive a 1-10 performance score
+ * @param {Object} vitals - Metrics from collectWebVitals
+ * @returns {Object} { score, ratings }
+ */
+export function scoreWebVitals(vitals) {
+    const ratings = {};
+    let weightedScore = 0;
+    let totalWeight = 0;
+
+    for (const [metric, { good, poor }] of Object.entries(VITALS_THRESHOLDS)) {
+        const value = vitals[metric];
+        if (value === null || value === undefined) continue;
+
+        ratings[metric] = value <= good ? 'good' : value <= poor ? 'needs-improvement' : 'poor';
+
+        // 10 at "good", 5 at "poor", 1 at twice the "poor" boundary
+        let metricScore;
+        if (value <= good) {
+            metricScore = 10;
+        } else if (value <= poor) {
+            metricScore = 10 - 5 * (value - good) / (poor - good);
+        } else {
+            metricScore = Math.max(1, 5 - 4 * (value - poor) / poor);
+        }
+
+        weightedScore += metricScore * VITALS_WEIGHTS[metric];
+        totalWeight += VITALS_WEIGHTS[metric];
+    }
+
+    return {
+        score: totalWeight > 0 ? Math.round(weightedScore / totalWeight * 10) / 10 : 0,
+        ratings
+    };
+}
+
+export default { VITALS_THRESHOLDS, installVitalsCollector, collectWebVitals, collectScriptAttribution, scoreWebVitals };
@@ -14,7 +14,7 @@ if (nodeVersion < requiredVersion) {
 }
 
 // Check if all required files exist
-import { existsSync } from 'fs';
+import { existsSync, readdirSync } from 'fs';
 
 const requiredFiles = [
     'package.json',
@@ -43,7 +43,9 @@ if (!allFilesExist) {
 try {
     console.log('🔍 Checking syntax...');
     const { execSync } = await import('child_process');
-    execSync('node --check src/main.js', { stdio: 'pipe' });
+    for (const file of readdirSync('src').filter(name => name.endsWith('.js'))) {
+        execSync(`node --check src/${file}`, { stdio: 'pipe' });
+    }
     console.log('✅ Syntax check passed');
 } catch (error) {
     console.error('❌ Syntax error:', error.message);